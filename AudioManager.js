@@ -6,6 +6,8 @@ export class AudioManager {
         this.sounds = new Map(); // To store loaded sounds { name: THREE.Audio }
         this.camera = null;
         this.currentBGM = null; // To track the current background music
+        this.impactNoiseBuffer = null; // short noise burst shared by all impact sounds, built on first use
+        this.lastImpactTime = 0;
 
     }
 
@@ -72,6 +74,67 @@ export class AudioManager {
         soundToPlay.play();
     }
 
+    // short synthesized "tock" for physics impacts, louder and brighter the stronger the impulse.
+    // impacts closer than minInterval seconds are skipped so a pile of stars does not sound like a drum roll
+    playImpactSound(impulse, { minImpulse = 0.3, maxImpulse = 4, minInterval = 0.05 } = {}) {
+        if (!this.audioListener || impulse < minImpulse) return;
+
+        const context = this.audioListener.context;
+        if (context.state !== 'running') return; // nothing can play before the first user gesture
+        const now = context.currentTime;
+        if (now - this.lastImpactTime < minInterval) return;
+        this.lastImpactTime = now;
+
+        if (!this.impactNoiseBuffer) {
+            const length = Math.floor(context.sampleRate * 0.08);
+            this.impactNoiseBuffer = context.createBuffer(1, length, context.sampleRate);
+            const data = this.impactNoiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3); // decaying noise
+            }
+        }
+
+        const strength = Math.min(1, (impulse - minImpulse) / (maxImpulse - minImpulse));
+
+        const source = context.createBufferSource();
+        source.buffer = this.impactNoiseBuffer;
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 600 + strength * 1400;
+        filter.Q.value = 4;
+
+        const gain = context.createGain();
+        gain.gain.value = 0.05 + strength * 0.45;
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.audioListener.getInput());
+        source.start(now);
+    }
+
+    // short synthesized beep (the countdown of a claw play), nothing to load
+    playBeep(frequency = 880, duration = 0.1, volume = 0.2) {
+        if (!this.audioListener) return;
+
+        const context = this.audioListener.context;
+        if (context.state !== 'running') return;
+        const now = context.currentTime;
+
+        const oscillator = context.createOscillator();
+        oscillator.type = 'square';
+        oscillator.frequency.value = frequency;
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(volume, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + duration); // no click at the end
+
+        oscillator.connect(gain);
+        gain.connect(this.audioListener.getInput());
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+    }
+
     playBGM(name) {
         if (this.currentBGM && this.currentBGM.name === name && this.currentBGM.sound.isPlaying) {
             return; // Already playing the correct BGM
@@ -82,9 +82,11 @@ function updatePrizeAnimations(deltaTime, clawTopBox, scene, physicsEngine) {
                 break;
             
             case 'choose_destruction':
-                // randomly pick how the prize will disappear
+                // randomly pick how the prize will disappear, the rare ones (see prize_catalog.js) always explode
                 const animations = ['explode', 'shrink', 'fly_up'];
-                const choice = animations[Math.floor(Math.random() * animations.length)];
+                const isRare = body.prizeType && body.prizeType.rarity !== 'common';
+                // Math.random: this runs in the render loop, a draw here would move the seeded stream of the fixed steps
+                const choice = isRare ? 'explode' : animations[Math.floor(Math.random() * animations.length)];
 
                 if (choice === 'explode') {
                     // use particle system for explosion effect
@@ -140,7 +142,7 @@ function startCandyDisappearanceAnimation(candyBody, physicsEngine) {
 
     // randomly choose between two different particle animation styles
     const animations = ['confetti', 'ribbons'];
-    const choice = animations[Math.floor(Math.random() * animations.length)];
+    const choice = animations[Math.floor(Math.random() * animations.length)]; // cosmetic, the seeded random is left to the fixed steps
 
 
     // add the candy to the animation system with the chosen particle effect
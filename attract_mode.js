@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+
+/*
+attract mode of the claw machine, the demo loop of the real arcades.
+after idleTime seconds without input in exploration mode the machine plays by itself: the claw is aimed with the
+same moveState the joystick sets, dropped with startDropSequence and the ClawController states do the rest
+(descend, grab, deliver, return). meanwhile its spot light pulses and a marquee scrolls over the machine.
+the demo does not spend coins, its wins are not credited (isDemoPlay) and it does not count in the operator payout.
+a player entering the zone of the machine stops it: the claw goes back to idle and onStop restores the pit
+*/
+export const ATTRACT_DEFAULTS = {
+    idleTime: 30, // s without input before the demo starts
+    pauseTime: 2, // s between two demo plays
+    aimTolerance: 0.05, // the demo drops when the claw is this close to its target
+    pulseSpeed: 3, // rad/s of the spot light pulse
+    pulseDepth: 0.6, // the light goes down to 1 - pulseDepth of its intensity
+    marqueeText: '★ INSERT COIN ★ WIN A PRIZE ★ GOLD STARS INSIDE ',
+    marqueeSpeed: 0.15 // texture widths per second
+};
+
+export class AttractMode {
+    constructor(clawController, spotlight, machineBox, options = {}) {
+        this.clawController = clawController;
+        this.spotlight = spotlight;
+        this.machineBox = machineBox;
+        this.options = { ...ATTRACT_DEFAULTS, ...options };
+        this.onStop = options.onStop || null; // puts the prizes back in the pit
+
+        this.idleTimer = 0;
+        this.isActive = false;
+        this.time = 0;
+        this.target = null; // where the demo aims the claw, null between two plays
+        this.pauseTimer = 0;
+        this.baseIntensity = spotlight ? spotlight.intensity : 0;
+        this.marquee = this.createMarquee();
+    }
+
+    //a plane on top of the machine with the text on a repeating canvas texture, scrolled by its offset
+    createMarquee() {
+        if (!this.machineBox) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 1024;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#110022';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.font = 'bold 40px monospace';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#ffcc00';
+        //the text repeated to fill the width, so the wrap of the texture does not show
+        const textWidth = context.measureText(this.options.marqueeText).width;
+        for (let x = 0; x < canvas.width; x += textWidth) {
+            context.fillText(this.options.marqueeText, x, canvas.height / 2);
+        }
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const size = new THREE.Vector3();
+        this.machineBox.getSize(size);
+        const width = size.x;
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, width * canvas.height / canvas.width),
+            new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide })
+        );
+        mesh.name = 'AttractMarquee';
+        mesh.position.set(
+            (this.machineBox.min.x + this.machineBox.max.x) / 2,
+            this.machineBox.max.y + 0.5,
+            this.machineBox.max.z
+        );
+        mesh.visible = false;
+        this.clawController.scene.add(mesh);
+        return { mesh, texture };
+    }
+
+    //keys and mouse: the machine waits idleTime from the last one (a running demo goes on until the zone is entered)
+    notifyInput() {
+        this.idleTimer = 0;
+    }
+
+    //every frame, canStart is false when somebody is using the machine (or a replay is running)
+    update(deltaTime, canStart) {
+        if (!this.isActive) {
+            this.idleTimer = canStart ? this.idleTimer + deltaTime : 0;
+            if (this.idleTimer >= this.options.idleTime) this.start();
+            return;
+        }
+
+        this.time += deltaTime;
+        if (this.spotlight) {
+            const pulse = (1 - Math.cos(this.time * this.options.pulseSpeed)) / 2;
+            this.spotlight.intensity = this.baseIntensity * (1 - this.options.pulseDepth * pulse);
+        }
+        if (this.marquee) {
+            this.marquee.texture.offset.x = (this.marquee.texture.offset.x + this.options.marqueeSpeed * deltaTime) % 1;
+        }
+    }
+
+    start() {
+        if (this.isActive) return;
+        const claw = this.clawController;
+        if (claw.hasActivePlay()) return;
+
+        this.isActive = true;
+        this.time = 0;
+        this.target = null;
+        this.pauseTimer = this.options.pauseTime;
+        claw.isDemoPlay = true;
+        if (this.spotlight) this.baseIntensity = this.spotlight.intensity;
+        if (this.marquee) this.marquee.mesh.visible = true;
+    }
+
+    stop() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this.idleTimer = 0;
+        this.target = null;
+
+        const claw = this.clawController;
+        claw.resetToIdle();
+        claw.clawGroup.position.copy(claw.spawnPosition);
+        claw.updateCable();
+        claw.isDemoPlay = false;
+
+        if (this.spotlight) this.spotlight.intensity = this.baseIntensity;
+        if (this.marquee) this.marquee.mesh.visible = false;
+        if (this.onStop) this.onStop();
+    }
+
+    //called on every fixed step before the claw is updated, plays like a player on the joystick
+    updateSimulation(deltaTime) {
+        if (!this.isActive) return;
+        const claw = this.clawController;
+        //the claw is dropping, delivering or coming back
+        if (claw.automationState !== 'MANUAL_HORIZONTAL' || claw.isAnimating) return;
+
+        if (!this.target) {
+            this.pauseTimer -= deltaTime;
+            if (this.pauseTimer <= 0) this.target = this.pickTarget();
+            return;
+        }
+
+        const position = claw.getRestPosition();
+        const { aimTolerance } = this.options;
+        let isAimed = true;
+        [['x', 'left', 'right'], ['z', 'forward', 'backward']].forEach(([axis, negative, positive]) => {
+            //released early enough to brake on the target
+            const velocity = claw.gantryVelocity[axis];
+            const brakingDistance = velocity * velocity / (2 * claw.gantryAcceleration);
+            const diff = this.target[axis] - position[axis];
+            const isFar = Math.abs(diff) > aimTolerance + brakingDistance;
+            claw.setMoving(negative, isFar && diff < 0);
+            claw.setMoving(positive, isFar && diff > 0);
+            if (isFar || Math.abs(velocity) > 0.01) isAimed = false;
+        });
+        if (!isAimed) return;
+
+        this.target = null;
+        this.pauseTimer = this.options.pauseTime;
+        //over the chute the drop is refused, the next target is picked after the pause
+        if (!claw.isOverChute()) claw.startDropSequence();
+    }
+
+    //somewhere over the pit, inside the rails of the gantry. Math.random: the demo is never recorded, the seeded random is left to the plays
+    pickTarget() {
+        const claw = this.clawController;
+        const box = claw.machineBox;
+        if (!box) return null;
+        const margin = claw.moveMargin + 0.1;
+        return {
+            x: THREE.MathUtils.lerp(box.min.x + margin, box.max.x - margin, Math.random()),
+            z: THREE.MathUtils.lerp(box.min.z + margin, box.max.z - margin, Math.random())
+        };
+    }
+}
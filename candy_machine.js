@@ -1,7 +1,7 @@
 //import three.js library for 3d graphics
 import * as THREE from 'three';
 //import physics body class for collision detection
-import { RigidBody } from './physics_engine.js';
+import { RigidBody, CollisionLayers } from './physics_engine.js';
 //import 3d vector class for position calculations
 import { Vec3 } from './physics_engine_vec3.js';
 
@@ -291,6 +291,7 @@ export class CandyMachine {
         this.physicsEngine.setDispenserSafetyZone(this.candyWorldTargetPos, safetyRadius);
 
 
+        const random = this.physicsEngine.random; //seeded, the same seed fills the jar the same way
         for (let i = 0; i < count; i++) {
             let worldX, worldY, worldZ;
             let positionIsValid = false;
@@ -301,9 +302,9 @@ export class CandyMachine {
             //keep trying until a valid position is found
             while (!positionIsValid && attempts < maxAttempts) {
                 //generate random world position within the container
-                worldX = THREE.MathUtils.lerp(containerWorldBox.min.x, containerWorldBox.max.x, Math.random());
-                worldY = THREE.MathUtils.lerp(containerWorldBox.min.y, containerWorldBox.max.y, Math.random());
-                worldZ = THREE.MathUtils.lerp(containerWorldBox.min.z, containerWorldBox.max.z, Math.random());
+                worldX = THREE.MathUtils.lerp(containerWorldBox.min.x, containerWorldBox.max.x, random.next());
+                worldY = THREE.MathUtils.lerp(containerWorldBox.min.y, containerWorldBox.max.y, random.next());
+                worldZ = THREE.MathUtils.lerp(containerWorldBox.min.z, containerWorldBox.max.z, random.next());
                 spawnPoint.set(worldX, worldY, worldZ);
 
                 //check distance to the dispenser area (ignoring Y-axis for a cylindrical check)
@@ -317,7 +318,7 @@ export class CandyMachine {
             }
             
             const candyMaterial = new THREE.MeshStandardMaterial({
-                color: candyColors[Math.floor(Math.random() * candyColors.length)],
+                color: random.pick(candyColors),
                 roughness: 0.3,
                 metalness: 0.1
             });
@@ -331,7 +332,12 @@ export class CandyMachine {
 
             //create physics body
             const body = new RigidBody(mesh, 0.5);
-            body.isCandy = true; //mark for bounds checking in the physics engine
+            //candies only collide with other candies and the machine, and are kept in the candy container bounds
+            body.setCollisionFilter({
+                layer: CollisionLayers.CANDY,
+                mask: CollisionLayers.CANDY | CollisionLayers.STATIC,
+                boundsRegion: 'candy'
+            });
             
             //set position directly on the physics body (world coordinates)
             body.position.set(worldX, worldY, worldZ);
@@ -406,11 +412,12 @@ export class CandyMachine {
                     
                 if (t_lower >= 1) {
                     //gate is down, now select and move the candy
-                    const randomIndex = Math.floor(Math.random() * this.candiesInMachine.length);
+                    const randomIndex = this.physicsEngine.random.int(this.candiesInMachine.length);
                     this.dispensingCandy = this.candiesInMachine[randomIndex];
                     this.candyStartPos.copy(this.dispensingCandy.position);
                     
                     this.dispensingCandy.isBeingDispensed = true;
+                    this.dispensingCandy.addCollisionOverride('dispensing', { boundsRegion: null }); //it has to leave the container
                     this.dispensingCandy.isSleeping = false; //wake it up
                     this.dispensingCandy.inverseMass = 0; //we change its inverse mass to make it kinematic
 
@@ -550,6 +557,7 @@ export class CandyMachine {
                         
                         // Restore physics properties before removal
                         this.dispensingCandy.isBeingDispensed = false;
+                        this.dispensingCandy.removeCollisionOverride('dispensing');
                         this.dispensingCandy.inverseMass = 1.0; // Restore to dynamic body
 
                         
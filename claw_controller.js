@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { CollisionLayers } from './physics_engine.js';
+import { ClawGrip } from './claw_grip.js';
+import { OperatorProfile } from './operator_profile.js';
+import { ClawPendulum } from './claw_pendulum.js';
+import { onPrizeWon, emitPrizeReleased } from './prize_events.js';
 
 export class ClawController {
 
@@ -18,12 +23,24 @@ export class ClawController {
         // state Machine 
         this.automationState = 'MANUAL_HORIZONTAL';
         this.returnYPosition = 0;
-        this.dropTargetY = 0;       
+        this.dropTargetY = 0; // the deepest the claw can go, it stops earlier when it lands on the pile
+        this.surfaceHeight = null; // top of the pile (or the pit floor) under the claw, from the last probe
+        this.surfaceObject = null; // the prize on top of the pile, null for the floor
+        this.fingerGrabDepth = 0.15; // the fingers can go this far below the top of the prize under the center
+        this.landingMargin = 0.02;
         
         this.moveState = { left:false, right:false, forward:false, backward:false };
         this.moveSpeed = 1.5;
+        this.gantryAcceleration = 3; // the gantry speeds up and brakes, the head swings behind it
+        this.gantryVelocity = new THREE.Vector3();
         this.moveMargin = 0.2;
         this.stopStatus = { A: false, B: false, C: false };
+        // per-play countdown: it starts when a coin is accepted, at zero the claw drops by itself
+        this.playDuration = 20; // s
+        this.playTimeLeft = null; // null when no play is waiting for the drop
+        this.deliveryDuration = 15; // s, to steer the prize to the chute in the manual delivery (operator setting)
+        this.deliveryTimeLeft = null;
+        this.chuteExit = null; // where the claw is moved when the time is up over the chute
         this.spawnPosition = new THREE.Vector3();     // Posizione iniziale della claw
         this.dropOffPosition = new THREE.Vector3();   
 
@@ -33,18 +50,42 @@ export class ClawController {
         this.isClosing = false;
         this.isGrabbing = false;
         this.grabbedObject = null;
-        this.lastClawPosition = new THREE.Vector3();
+        this.grip = new ClawGrip(physicsEngine, clawGroup); //the fingers hold the grabbed object by friction, it can slip
+        this.operatorProfile = new OperatorProfile(); //grip strength and payout rate, edited from the operator menu
+        this.isStrongPlay = true;
+        this.deliveryStart = new THREE.Vector3(); //where the delivery moves started, for the mid-delivery drop moment
         this.chuteBox = null;
         this.dropZoneThreshold = 0.3;
-        this.dropZoneIndicator = null;
+        this.dropZoneIndicator = null; // ring on the landing point + laser from the claw, shown while aiming
+        this.dropZoneColors = { floor: 0xffffff, prize: 0x33ff66, chute: 0xff3333 };
         this.deliveredStars =10;
+        this.wonPrizes = {}; // prize type id -> how many were won
+        this.lastPrize = null; // type of the last won prize, for the HUD
+        this.prizeStats = { released: 0, won: 0 }; // prizes let go over the chute, prizes that got to the prize door
+        this.isDemoPlay = false; // the attract mode is playing: no score, no payout counter, automatic delivery
+        //the claw only reports the releases, the stars come when the prize door confirms the win (prize_events.js)
+        onPrizeWon(({ prize }) => this.creditPrize(prize));
         this.initialTransforms = {};
         this.releasingObjectStartTime = 0;
 
+        // finger animations and waits between the states, advanced by update() so they stop with the physics
+        // (pause, slow motion, replays) and are dropped by resetToIdle
+        this.tweens = [];
+        this.fingerCloseSpeed = 0.6; // rad/s
+        this.fingerCloseTime = 3; // s, the fingers stop closing after this even if they never touch
+        this.fingerOpenTime = 0.9; // s
+
         // Cable system
         this.cable = null;
         this.cableTopPosition = new THREE.Vector3();
         this.cableSegments = 20;
+        this.cableBow = 0.15; // how much the rope bends behind the swinging head, in seconds of its speed
+
+        // the head hangs from the cable and swings: the states move the rest position (right under the gantry),
+        // the head is drawn and collides at rest position + swing
+        this.pendulum = new ClawPendulum();
+        this.restPosition = new THREE.Vector3();
+        this.isSwingApplied = false;
 
         this.joystickPivot = joystickPivot; //we insert a pivot in order to fix the rotation point of the joystick
         this.button = button;
@@ -83,7 +124,6 @@ export class ClawController {
         if (this.chuteMesh) {
             this.chuteMesh.updateWorldMatrix(true, false);
             this.chuteBox = new THREE.Box3().setFromObject(this.chuteMesh);
-            this.createDropZoneIndicator();
             
             // Set up chute safety zone in physics engine to prevent objects from falling into chute
             const chuteCenter = new THREE.Vector3();
@@ -96,13 +136,87 @@ export class ClawController {
             const safetyRadius = Math.max(chuteSize.x, chuteSize.z) * 0.4; // 40% of the larger dimension
             this.physicsEngine.setChuteSafetyZone(chuteCenter, safetyRadius);
         }
+
+        this.createDropZoneIndicator();
         
         // initialize cable after spawn position is set
         this.createCable();
     }
 
+    //where the claw would land: a flat ring on the pile (or the pit floor) and a laser down from the claw.
+    //white over the floor, green over a prize, red over the chute where startDropSequence does not drop
     createDropZoneIndicator() {
-        // placeholder
+        if (this.dropZoneIndicator) return;
+
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.8, 1, 32),
+            new THREE.MeshBasicMaterial({ color: this.dropZoneColors.floor, transparent: true, opacity: 0.7, side: THREE.DoubleSide, depthWrite: false })
+        );
+        ring.rotation.x = -Math.PI / 2; // flat on the pile
+        ring.name = 'DropZoneRing';
+
+        const laserGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+        const laser = new THREE.Line(laserGeometry, new THREE.LineBasicMaterial({ color: this.dropZoneColors.floor, transparent: true, opacity: 0.5 }));
+        laser.name = 'DropZoneLaser';
+        laser.frustumCulled = false;
+
+        this.dropZoneIndicator = { ring, laser };
+        ring.visible = laser.visible = false;
+        this.scene.add(ring);
+        this.scene.add(laser);
+    }
+
+    //called every step after the claw has moved, the indicator is only shown while the player is aiming
+    updateDropZoneIndicator() {
+        if (!this.dropZoneIndicator) return;
+        const { ring, laser } = this.dropZoneIndicator;
+        const isAiming = this.automationState === 'MANUAL_HORIZONTAL' && !this.isAnimating;
+        ring.visible = laser.visible = isAiming;
+        if (!isAiming) return;
+
+        //the head with its swing, that is where the claw really lands
+        const clawPosition = this.clawGroup.position;
+        const hit = this.objectsInteraction.raycastDown(clawPosition);
+        const landingY = hit ? hit.height : this.getPitFloor();
+        if (!Number.isFinite(landingY)) {
+            ring.visible = laser.visible = false;
+            return;
+        }
+
+        const color = this.isOverChute() ? this.dropZoneColors.chute : hit ? this.dropZoneColors.prize : this.dropZoneColors.floor;
+        ring.material.color.setHex(color);
+        laser.material.color.setHex(color);
+
+        //as wide as the open fingers
+        const tips = this.getFingerTips();
+        const radius = tips.reduce((max, tip) => Math.max(max, Math.hypot(tip.x - clawPosition.x, tip.z - clawPosition.z)), 0);
+        ring.scale.setScalar(Math.max(radius, 0.05));
+        ring.position.set(clawPosition.x, landingY + 0.005, clawPosition.z); // just above it, no z-fighting
+
+        const positions = laser.geometry.attributes.position;
+        positions.setXYZ(0, clawPosition.x, clawPosition.y, clawPosition.z);
+        positions.setXYZ(1, clawPosition.x, landingY, clawPosition.z);
+        positions.needsUpdate = true;
+    }
+
+    //the claw is over the chute (with a margin of its size), startDropSequence refuses to drop there
+    isOverChute() {
+        if (!this.chuteBox) return false;
+
+        const clawPos = this.clawGroup.position;
+        const chuteBounds = this.chuteBox;
+
+        const clawBox = new THREE.Box3().setFromObject(this.clawGroup);
+        const clawSize = new THREE.Vector3();
+        clawBox.getSize(clawSize);
+
+        const safeMarginX = clawSize.x ;
+        const safeMarginZ = clawSize.z ;
+
+        return clawPos.x >= (chuteBounds.min.x - safeMarginX) &&
+            clawPos.x <= (chuteBounds.max.x + safeMarginX) &&
+            clawPos.z >= (chuteBounds.min.z - safeMarginZ) &&
+            clawPos.z <= (chuteBounds.max.z + safeMarginZ);
     }
 
     createCable() {
@@ -149,9 +263,9 @@ export class ClawController {
 
     }
 
-    //si prende la distanza verticale attuale, si decide quanti segmenti servono (più è lungo, più segmenti), 
-    // si generano punti equispaziati tra “soffitto” e claw usando l’interpolazione 
-    // lineare (lerpVectors), e questi punti diventano la geometria della linea (il cavo).
+    //si prende la distanza verticale attuale, si decide quanti segmenti servono (più è lungo, più segmenti),
+    // si generano punti tra “soffitto” e claw: la corda va dal gantry alla testa (che oscilla) e si piega
+    // dietro alla testa quando si muove, come una corda vera che resta indietro
 
     updateCable() {
         // create cable if it doesn't exist and spawn position is now available
@@ -161,12 +275,13 @@ export class ClawController {
         
         if (!this.cable) return;
         
-        //gGet current claw position
-        const clawPosition = this.clawGroup.position.clone();
+        //the head, with its swing
+        const clawPosition = this.clawGroup.position;
         
-        // update cable top position to follow claw horizontally but stay at machine ceiling
-        this.cableTopPosition.x = clawPosition.x;
-        this.cableTopPosition.z = clawPosition.z;
+        // the cable top follows the gantry (not the swinging head) at the machine ceiling
+        const gantryPosition = this.getRestPosition();
+        this.cableTopPosition.x = gantryPosition.x;
+        this.cableTopPosition.z = gantryPosition.z;
         
         // calculate actual cable length needed (distance from ceiling to claw)
         const cableLength = this.cableTopPosition.y - clawPosition.y;
@@ -182,8 +297,12 @@ export class ClawController {
         
         // calculate number of segments based on cable length (more segments for longer cables)
         const segmentsNeeded = Math.max(2, Math.min(this.cableSegments, Math.floor(cableLength * 5)));
+
+        // the middle of the rope lags behind the head: bow against its swing speed, at most a fifth of the length
+        const bow = new THREE.Vector3(-this.pendulum.velocity.x, 0, -this.pendulum.velocity.z).multiplyScalar(this.cableBow);
+        bow.clampLength(0, cableLength * 0.2);
         
-        // create cable points - straight vertical line from ceiling to claw
+        // cable points from ceiling to claw, pushed sideways by the bow (a parabola, 0 at both ends)
         const points = [];
         for (let i = 0; i <= segmentsNeeded; i++) {
             const t = i / segmentsNeeded;
@@ -192,6 +311,7 @@ export class ClawController {
             t = 0, 0.25, 0.5, 0.75, 1 → y = 10, 9, 8, 7, 6
             */
             const point = new THREE.Vector3().lerpVectors(this.cableTopPosition, clawPosition, t);
+            point.addScaledVector(bow, 4 * t * (1 - t));
             points.push(point);
         }
         
@@ -200,6 +320,59 @@ export class ClawController {
         this.cable.geometry.attributes.position.needsUpdate = true;
     }
 
+    //where the head hangs when it is still, the states of the claw move this one
+    getRestPosition() {
+        return this.isSwingApplied ? this.restPosition : this.clawGroup.position;
+    }
+
+    //back to the rest position before the states move the claw
+    removeSwing() {
+        if (!this.isSwingApplied) return;
+        this.clawGroup.position.copy(this.restPosition);
+        this.isSwingApplied = false;
+    }
+
+    //after the states have moved the claw: the head hangs at the rest position + the swing of the pendulum
+    applySwing(deltaTime) {
+        this.restPosition.copy(this.clawGroup.position);
+        const cableLength = this.cableTopPosition.y - this.restPosition.y;
+
+        //the grabbed prize hangs under the head and swings with it
+        let loadMass = 0;
+        let loadDrop = 0;
+        if (this.grip.isHolding()) {
+            loadMass = this.grip.object.body.mass;
+            loadDrop = -this.grip.clawOffset.y;
+        }
+        this.pendulum.update(this.restPosition, cableLength, deltaTime, loadMass, loadDrop);
+
+        //the glass stops the head
+        if (this.machineBox) {
+            const margin = this.moveMargin * 0.5;
+            ['x', 'z'].forEach(axis => {
+                this.pendulum.limit(axis,
+                    this.machineBox.min[axis] + margin - this.restPosition[axis],
+                    this.machineBox.max[axis] - margin - this.restPosition[axis]);
+            });
+        }
+
+        this.clawGroup.position.add(this.pendulum.offset);
+        this.isSwingApplied = true;
+    }
+
+    //the gantry reaches the wanted velocity (m/s, x and z) with a limited acceleration
+    accelerateGantry(targetVelocity, deltaTime) {
+        const change = targetVelocity.clone().sub(this.gantryVelocity);
+        change.y = 0;
+        change.clampLength(0, this.gantryAcceleration * deltaTime);
+        this.gantryVelocity.add(change);
+        this.clawGroup.position.addScaledVector(this.gantryVelocity, deltaTime);
+    }
+
+    stopGantry() {
+        this.gantryVelocity.set(0, 0, 0);
+    }
+
     storeInitialTransforms() {
         const objectsToStore = [...Object.values(this.clawBones), ...this.cylinders];
         objectsToStore.forEach(obj => {
@@ -227,14 +400,43 @@ export class ClawController {
     }
 
 
+    /*
+    a tween is a function called with the step time on every update until it returns true, then onComplete is called.
+    tweens started by onComplete run from the next update
+    */
+    startTween(update, onComplete = null) {
+        const tween = { update, onComplete };
+        this.tweens.push(tween);
+        return tween;
+    }
+
+    updateTweens(deltaTime) {
+        [...this.tweens].forEach(tween => {
+            if (!this.tweens.includes(tween)) return; // canceled by the onComplete of a previous one
+            if (!tween.update(deltaTime)) return;
+            this.tweens.splice(this.tweens.indexOf(tween), 1);
+            if (tween.onComplete) tween.onComplete();
+        });
+    }
+
+    cancelTweens() {
+        this.tweens.length = 0;
+    }
+
+    // waits some seconds of simulation time
+    wait(seconds, onComplete) {
+        let elapsed = 0;
+        return this.startTween(deltaTime => (elapsed += deltaTime) >= seconds, onComplete);
+    }
+
+    // waits until condition() is true
+    waitUntil(condition, onComplete) {
+        return this.startTween(() => condition(), onComplete);
+    }
+
     // wait until all claw fingers have stopped moving
     waitUntilAllStopped(callback) {
-        const checkInterval = setInterval(() => {
-            if (this.stopStatus.A && this.stopStatus.B && this.stopStatus.C) {
-                clearInterval(checkInterval);
-                callback();
-            }
-        }, 50);
+        return this.waitUntil(() => this.stopStatus.A && this.stopStatus.B && this.stopStatus.C, callback);
     }
     
     checkFingerCollisions() {
@@ -278,50 +480,93 @@ export class ClawController {
 // calculates a safe drop target y for the claw by scanning unheld grabbable objects and clamping above the floor.
 
   calculateAndSetDropHeight() {
-      const FIXED_DROP_DISTANCE = 1.5; // Distanza fissa in unità world
-      this.dropTargetY = this.clawGroup.position.y - FIXED_DROP_DISTANCE;
+      const dropDistance = this.operatorProfile.settings.dropDistance; // massimo scelto dall'operatore
+      this.dropTargetY = this.getRestPosition().y - dropDistance;
 
       // Safety check per non andare sotto il pavimento
       if (this.machineBox && this.dropTargetY < this.machineBox.min.y + 0.1) {
           this.dropTargetY = this.machineBox.min.y + 0.1;
       }
+
+      this.probeSurface(); // so the UI knows where the claw is going to land
   }
 
+  //floor of the pit, where the prizes lie
+  getPitFloor() {
+      const prizeBounds = this.physicsEngine.getBoundsRegion('prize');
+      if (prizeBounds && Number.isFinite(prizeBounds.min.y)) return prizeBounds.min.y;
+      return this.machineBox ? this.machineBox.min.y : -Infinity;
+  }
 
-// before starting a drop, blocks the descent if the claw is horizontally over the chute (with a safety margin).
-startDropSequence() {
+  //lowest point of every finger, from their collision cylinders (where the head really is, swing included)
+  getFingerTips() {
+      return this.cylinders.filter(Boolean).map(cylinder => {
+          const box = new THREE.Box3().setFromObject(cylinder);
+          const tip = box.getCenter(new THREE.Vector3());
+          tip.y = box.min.y;
+          return tip;
+      });
+  }
 
+  /*
+  looks down from the claw like the slack sensor of a real one: a ray under every finger and one under the center.
+  a finger lands on whatever is under it, the prize under the center can go between the fingers up to fingerGrabDepth.
+  updates surfaceHeight (the highest thing found) and returns true if the claw has landed
+  */
+  probeSurface() {
+      const tips = this.getFingerTips();
+      const floor = this.getPitFloor();
+      this.surfaceHeight = floor;
+      this.surfaceObject = null;
+      if (tips.length === 0) return false;
+
+      const headY = this.clawGroup.position.y;
+      const lowestTip = Math.min(...tips.map(tip => tip.y));
+      let landed = lowestTip <= floor + this.landingMargin;
+
+      const probe = (x, z, grabDepth) => {
+          const hit = this.objectsInteraction.raycastDown(new THREE.Vector3(x, headY, z));
+          if (!hit) return;
+          if (hit.height > this.surfaceHeight) {
+              this.surfaceHeight = hit.height;
+              this.surfaceObject = hit.object;
+          }
+          if (lowestTip <= hit.height - grabDepth + this.landingMargin) landed = true;
+      };
+
+      tips.forEach(tip => probe(tip.x, tip.z, 0));
+      const center = tips.reduce((sum, tip) => sum.add(tip), new THREE.Vector3()).divideScalar(tips.length);
+      probe(center.x, center.z, this.fingerGrabDepth);
+
+      return landed;
+  }
 
-    if (this.chuteBox) {
-        const clawPos = this.clawGroup.position;
-        const chuteBounds = this.chuteBox;
+  getSurfaceHeight() {
+      return this.surfaceHeight;
+  }
 
 
-        const clawBox = new THREE.Box3().setFromObject(this.clawGroup);
-        const clawSize = new THREE.Vector3();
-        clawBox.getSize(clawSize);
+// before starting a drop, blocks the descent if the claw is horizontally over the chute (with a safety margin).
+startDropSequence() {
 
- 
-        const safeMarginX = clawSize.x ;
-        const safeMarginZ = clawSize.z ;
 
-//we block the claw descent if it intersects with the chute
-        const isOverChute =
-            clawPos.x >= (chuteBounds.min.x - safeMarginX) &&
-            clawPos.x <= (chuteBounds.max.x + safeMarginX) &&
-            clawPos.z >= (chuteBounds.min.z - safeMarginZ) &&
-            clawPos.z <= (chuteBounds.max.z + safeMarginZ);
+    //during a manual delivery the button releases the prize
+    if (this.automationState === 'MANUAL_DELIVERY') {
+        this.releaseManualDelivery();
+        return;
+    }
 
-        if (isOverChute) {
+//we block the claw descent if it intersects with the chute
+    if (this.isOverChute()) {
 
-            return; 
-        }
+        return; 
     }
 
     //when in drop sequence, we basically start the automation progress, and at every update call we let the machine state advance
 
 
     if (this.automationState === 'MANUAL_HORIZONTAL' && !this.isAnimating) { //
+        this.playTimeLeft = null; // the countdown of this play is over
 
         
         if (this.button) { //
@@ -331,7 +576,8 @@ startDropSequence() {
 
         this.calculateAndSetDropHeight();  //
         this.isAnimating = true; //
-        this.returnYPosition = this.clawGroup.position.y; //
+        this.returnYPosition = this.getRestPosition().y; //
+        this.stopGantry(); //the gantry stops dead, the head keeps swinging and lands where the swing takes it
         this.automationState = 'DESCENDING'; //
     } else {
 
@@ -339,40 +585,44 @@ startDropSequence() {
 }
 
 
-async runCloseSequence() {
+runCloseSequence() {
 
     this.automationState = 'OPERATING';
 //this new state is operating, and we need to close the claw
 
-    await this.closeClaw(); 
-//we have to wait for the claw to close before proceeding, also setting a small timer before proceeding
-
-    await new Promise(resolve => setTimeout(resolve, 300));
-
+    //every play picks up with the strong grip, the profile decides if it stays strong up to the chute
+    this.isStrongPlay = this.isDemoPlay ? false : this.operatorProfile.startPlay();
+    this.grip.setOptions({ gripForce: this.operatorProfile.settings.strongGripForce });
 
-    this.automationState = 'ASCENDING';
+//we have to wait for the claw to close before proceeding, also setting a small timer before proceeding
+    this.closeClaw(() => {
+        this.wait(0.3, () => {
+            this.automationState = 'ASCENDING';
+        });
+    });
 }
 
 
-async runReleaseAndReturnSequence() {
+runReleaseAndReturnSequence() {
     this.automationState = 'RELEASING_OBJECT';
 
 
     //this is now the only place where the object's state transitions from "held" to "released"
     if (this.isGrabbing && this.grabbedObject) {
-        this.deliveredStars++;
+        this.reportRelease(this.grabbedObject);
 
         const body = this.grabbedObject.body;
         
-        // un-pin the object from the claw controller.
-        body.isHeld = false;
+        // the fingers let go of the object
+        this.grip.release();
         this.isGrabbing = false;
         this.grabbedObject = null;
 
         // activate the physics engine's "clean release" system.
-        body.ignoreClawCollision = true;
+        // while it drops the star collides with nothing (claw, other stars, bounds) so it falls straight down
+        body.addCollisionOverride('release', { mask: CollisionLayers.NONE, boundsRegion: null });
         body.isBeingReleased = true;
-        body.releaseStartTime = Date.now();
+        body.releaseStartTime = this.physicsEngine.simulationTime * 1000;
 
         // reset physics state for a clean vertical drop, so that the star is dropped directly downwards
         body.linearVelocity.set(0, 0, 0);
@@ -383,148 +633,168 @@ async runReleaseAndReturnSequence() {
         
     }
 
-    //we then open the claw
-    await this.openClaw();
-    await new Promise(resolve => setTimeout(resolve, 500)); 
-    
-    // the state transition to begin returning to the start position
-    this.automationState = 'RETURNING_ASCEND';
+    //we then open the claw, and after a short pause the state transition to begin returning to the start position
+    this.openClaw(() => {
+        this.wait(0.5, () => {
+            this.automationState = 'RETURNING_ASCEND';
+        });
+    });
 }
 
 
-closeClaw() {
-    return new Promise(resolve => {
-        this.isClosing = true;
+closeClaw(onComplete = null) {
+    this.isClosing = true;
 
-        this.stopStatus = { A: false, B: false, C: false };
+    this.stopStatus = { A: false, B: false, C: false };
 
-        const closeStep = 0.03;
-        let rotationSteps = 0;
-        const maxSteps = 60;
+    let elapsed = 0;
 
-        const grabInterval = setInterval(() => {
-            rotationSteps++;
+    return this.startTween(deltaTime => {
+        elapsed += deltaTime;
 
-            //we continue rotating fingers until they stop
-            if (this.clawBones.A && !this.stopStatus.A) {
-                this.clawBones.A.rotation.z -= closeStep;
-            }
-            if (this.clawBones.B && !this.stopStatus.B) {
-                this.clawBones.B.rotation.z -= closeStep;
-            }
-            if (this.clawBones.C && !this.stopStatus.C) {
-                this.clawBones.C.rotation.z -= closeStep;
+        //we continue rotating fingers until they stop
+        ['A', 'B', 'C'].forEach(finger => {
+            if (this.clawBones[finger] && !this.stopStatus[finger]) {
+                this.clawBones[finger].rotation.z -= this.fingerCloseSpeed * deltaTime;
             }
-            
-            this.cylinders.forEach(c => c.updateMatrixWorld(true));
+        });
+        
+        this.cylinders.forEach(c => c.updateMatrixWorld(true));
 
-            // check for collisions if we don't collect anything
-            this.checkFingerCollisions();
+        // check for collisions if we don't collect anything
+        this.checkFingerCollisions();
 
-            // if all fingers have collided, or we've reached max steps, we stop
-            //so basically either ways we are going to stop
-            const allFingersCollided = this.stopStatus.A && this.stopStatus.B && this.stopStatus.C;
+        // if all fingers have collided, or we've reached the max time, we stop
+        //so basically either ways we are going to stop
+        const allFingersCollided = this.stopStatus.A && this.stopStatus.B && this.stopStatus.C;
 
-            if (rotationSteps >= maxSteps || allFingersCollided) {
-                clearInterval(grabInterval);
-                this.isClosed = true;
-                this.isClosing = false;
-                const reason = allFingersCollided ? "finger collision" : "timeout";
-                resolve(); // La Promise è risolta
-            }
-        }, 50);
-    });
+        if (elapsed >= this.fingerCloseTime || allFingersCollided) {
+            this.isClosed = true;
+            this.isClosing = false;
+            return true;
+        }
+        return false;
+    }, onComplete);
 }
 
 
-openClaw() {
-    return new Promise((resolve, reject) => {
-        
-        try {
-            const openSteps = 30;
-            let currentStep = 0;
-        
-            if (!this.clawBones.A || !this.clawBones.B || !this.clawBones.C) {
-                reject(new Error('Missing claw bones'));
-                return;
-            }
-            // we store the starting rotations, in fact these are the ones we want to go back to
-            const startRotations = {
-                A: this.clawBones.A.rotation.z,
-                B: this.clawBones.B.rotation.z,
-                C: this.clawBones.C.rotation.z
-            };
-            
-            // check if initial transforms exist
-            if (!this.initialTransforms[this.clawBones.A.name] || 
-                !this.initialTransforms[this.clawBones.B.name] || 
-                !this.initialTransforms[this.clawBones.C.name]) {
-
-                reject(new Error('Missing initial transforms'));
-                return;
-            }
-
-            const targetRotations = {
-                A: this.initialTransforms[this.clawBones.A.name].rotation.z,
-                B: this.initialTransforms[this.clawBones.B.name].rotation.z,
-                C: this.initialTransforms[this.clawBones.C.name].rotation.z
-            };
-            //we basically go back to the initial position by reverting the rotation using lerp, thus interpolating up to the initial value
-        const openInterval = setInterval(() => {
-            currentStep++;
-            const progress = currentStep / openSteps;
-    
-            this.clawBones.A.rotation.z = THREE.MathUtils.lerp(startRotations.A, targetRotations.A, progress);
-            this.clawBones.B.rotation.z = THREE.MathUtils.lerp(startRotations.B, targetRotations.B, progress);
-            this.clawBones.C.rotation.z = THREE.MathUtils.lerp(startRotations.C, targetRotations.C, progress);
-    
-            if (currentStep >= openSteps) {
-                clearInterval(openInterval);
-                this.isClosed = false;
-                resolve();
-            }
-        }, 30);
-        
-        } catch (error) {
+openClaw(onComplete = null) {
+    // without the bones (model not loaded) there is nothing to open
+    if (!this.clawBones.A || !this.clawBones.B || !this.clawBones.C ||
+        !this.initialTransforms[this.clawBones.A.name] || 
+        !this.initialTransforms[this.clawBones.B.name] || 
+        !this.initialTransforms[this.clawBones.C.name]) {
+        this.isClosed = false;
+        if (onComplete) onComplete();
+        return null;
+    }
 
-            reject(error);
+    // we store the starting rotations, in fact these are the ones we want to go back to
+    const startRotations = {
+        A: this.clawBones.A.rotation.z,
+        B: this.clawBones.B.rotation.z,
+        C: this.clawBones.C.rotation.z
+    };
+
+    const targetRotations = {
+        A: this.initialTransforms[this.clawBones.A.name].rotation.z,
+        B: this.initialTransforms[this.clawBones.B.name].rotation.z,
+        C: this.initialTransforms[this.clawBones.C.name].rotation.z
+    };
+
+    //we basically go back to the initial position by reverting the rotation using lerp, thus interpolating up to the initial value
+    let elapsed = 0;
+    return this.startTween(deltaTime => {
+        elapsed += deltaTime;
+        const progress = Math.min(elapsed / this.fingerOpenTime, 1);
+
+        this.clawBones.A.rotation.z = THREE.MathUtils.lerp(startRotations.A, targetRotations.A, progress);
+        this.clawBones.B.rotation.z = THREE.MathUtils.lerp(startRotations.B, targetRotations.B, progress);
+        this.clawBones.C.rotation.z = THREE.MathUtils.lerp(startRotations.C, targetRotations.C, progress);
+
+        if (progress >= 1) {
+            this.isClosed = false;
+            return true;
         }
-    });
+        return false;
+    }, onComplete);
 }
 
-    //now we set a direct link between the claw and the grabbed object, so that it follows the claw without lag
-    // i had problems in implementing this, so i had to basically fix it also to get deliver something inside the chute
-    applyDirectLink(deltaTime) {
+    //the grabbed object is not linked to the claw: the grip carries it as long as the friction of the fingers is enough
+    //(claw_grip.js). if it slips out of the fingers during the ascent or the delivery we simply lose it
+    updateGrip() {
         if (!this.isGrabbing || !this.grabbedObject) {
             return;
         }
 
-        const objectBody = this.grabbedObject.body;
-        objectBody.isSleeping = false;
-        
-
-        // the target position is the center of the claw
-        const targetPosition = new THREE.Vector3();
-        this.clawGroup.getWorldPosition(targetPosition);
-        targetPosition.y -= 0.15;
-
-        // directly set the object's position for a zero-lag connection
-        objectBody.position.copy(targetPosition);
+        const fingerCount = this.objectsInteraction.countTouchingFingers(this.grabbedObject);
+        if (!this.grip.update(fingerCount)) {
+            this.isGrabbing = false;
+            this.grabbedObject = null;
+        }
+    }
 
+    //drop moment of the operator profile: on a weak play the fingers loosen here and the prize will probably slip
+    weakenGripAt(moment) {
+        if (this.isStrongPlay || !this.operatorProfile.settings[moment]) return;
+        this.grip.setOptions({ gripForce: this.operatorProfile.settings.weakGripForce });
+    }
 
-        //calculate the claw's current velocity based on its position change
-        const clawVelocity = new THREE.Vector3()
-            .copy(this.clawGroup.position)
-            .sub(this.lastClawPosition)
-            .divideScalar(deltaTime);
+    //0 at the top of the ascent, 1 over the chute (x and z moves together)
+    getDeliveryProgress() {
+        const totalX = Math.abs(this.dropOffPosition.x - this.deliveryStart.x);
+        const totalZ = Math.abs(this.dropOffPosition.z - this.deliveryStart.z);
+        if (totalX + totalZ < 1e-6) return 1;
+        const doneX = Math.abs(this.clawGroup.position.x - this.deliveryStart.x);
+        const doneZ = Math.abs(this.clawGroup.position.z - this.deliveryStart.z);
+        return Math.min((doneX + doneZ) / (totalX + totalZ), 1);
+    }
 
-        //directly set the object's velocity to match the claw's, so that it will follow the claw
-        objectBody.linearVelocity.copy(clawVelocity);
-        
-        //also, kill any rotation for stability
-        objectBody.angularVelocity.set(0, 0, 0);
+    //delivery and return moves: eased like a lerp, but never faster than moveSpeed and with the acceleration of the
+    //gantry, a sudden jerk would swing the head and shake the prize out
+    moveTowards(axis, target, deltaTime) {
+        const targetVelocity = new THREE.Vector3();
+        targetVelocity[axis] = THREE.MathUtils.clamp((target - this.clawGroup.position[axis]) * 3, -this.moveSpeed, this.moveSpeed);
+        this.accelerateGantry(targetVelocity, deltaTime);
+        const arrived = Math.abs(target - this.clawGroup.position[axis]) < 0.01;
+        if (arrived) this.stopGantry();
+        return arrived;
     }
     
+    //towards the nearest spot just outside the margin of isOverChute, inside the rails. true once the claw is off the chute
+    moveOffChute(deltaTime) {
+        if (!this.isOverChute()) {
+            this.chuteExit = null;
+            return true;
+        }
+        if (!this.chuteExit) this.chuteExit = this.findChuteExit();
+        if (!this.chuteExit) {
+            //no way off the chute: the play ends without a drop, the coin is lost
+            this.playTimeLeft = null;
+            return false;
+        }
+        if (this.moveTowards(this.chuteExit.axis, this.chuteExit.value, deltaTime)) this.chuteExit = null;
+        return false;
+    }
+
+    findChuteExit() {
+        if (!this.chuteBox || !this.machineBox) return null;
+        const clawSize = new THREE.Box3().setFromObject(this.clawGroup).getSize(new THREE.Vector3());
+        const position = this.clawGroup.position;
+        const clearance = 0.05;
+        let best = null;
+        ['x', 'z'].forEach(axis => {
+            const min = this.machineBox.min[axis] + this.moveMargin;
+            const max = this.machineBox.max[axis] - this.moveMargin;
+            [this.chuteBox.min[axis] - clawSize[axis] - clearance, this.chuteBox.max[axis] + clawSize[axis] + clearance].forEach(value => {
+                if (value < min || value > max) return;
+                const distance = Math.abs(value - position[axis]);
+                if (!best || distance < best.distance) best = { axis, value, distance };
+            });
+        });
+        return best;
+    }
+
     isInDropZone() {
         if (!this.chuteBox || !this.isGrabbing) {
             return false;
@@ -533,10 +803,7 @@ openClaw() {
         const clawPosition = this.clawGroup.position;
         
         //check if claw is horizontally above the chute
-        const isAboveChute = clawPosition.x >= this.chuteBox.min.x && 
-                           clawPosition.x <= this.chuteBox.max.x &&
-                           clawPosition.z >= this.chuteBox.min.z && 
-                           clawPosition.z <= this.chuteBox.max.z;
+        const isAboveChute = this.isAboveChute();
         
         //check if claw is within drop threshold above chute
         const isWithinDropHeight = clawPosition.y <= (this.chuteBox.max.y + this.dropZoneThreshold) &&
@@ -545,24 +812,59 @@ openClaw() {
         return isAboveChute && isWithinDropHeight;
     }
     
+    //the claw is horizontally inside the chute opening (isOverChute has a safety margin around it instead)
+    isAboveChute() {
+        if (!this.chuteBox) return false;
+        const clawPosition = this.clawGroup.position;
+        return clawPosition.x >= this.chuteBox.min.x && 
+               clawPosition.x <= this.chuteBox.max.x &&
+               clawPosition.z >= this.chuteBox.min.z && 
+               clawPosition.z <= this.chuteBox.max.z;
+    }
+
+    //manual delivery: the button (or the end of the delivery time) starts the release, see the MANUAL_RELEASE state
+    releaseManualDelivery() {
+        if (this.automationState !== 'MANUAL_DELIVERY') return;
+        this.deliveryTimeLeft = null;
+        this.stopGantry();
+        this.automationState = 'MANUAL_RELEASE';
+    }
+
+    isManualDelivery() {
+        return this.automationState === 'MANUAL_DELIVERY';
+    }
+
+    //manual delivery released away from the chute: the prize falls back in the pit, nothing is won
+    dropOutsideChute() {
+        if (this.isGrabbing && this.grabbedObject) {
+            this.grip.release();
+            this.isGrabbing = false;
+            this.grabbedObject = null;
+        }
+        if (this.isClosed) {
+            this.openClaw();
+        }
+    }
+
     triggerAutoDrop() {
         if (!this.isGrabbing || !this.grabbedObject) {
             return;
         }
         
         
-        //increment delivered counter
-        this.deliveredStars++;
+        //the prize is let go over the chute, it is won only if it gets to the prize door
+        this.reportRelease(this.grabbedObject);
         
         //release the object
-        this.grabbedObject.body.isHeld = false;
+        this.grip.release();
         
         //give it a slight downward velocity to ensure it falls into the chute
         this.grabbedObject.body.linearVelocity.set(0, -1, 0);
+        const random = this.physicsEngine.random;
         this.grabbedObject.body.angularVelocity.set(
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2
+            (random.next() - 0.5) * 2,
+            (random.next() - 0.5) * 2,
+            (random.next() - 0.5) * 2
         );
         
         //clear grab state
@@ -625,62 +927,52 @@ openClaw() {
 
     update(deltaTime) {
 
-        this.lastClawPosition.copy(this.clawGroup.position);
         this.updateButtonAnimation();
         this.updateJoystickTilt();
-        this.updateCable();
+        this.removeSwing();
+        this.updateTweens(deltaTime);
         
         if (this.isClosing && !this.isGrabbing) {
             const potentialObject = this.objectsInteraction.getGrabbableCandidate(2); //so if at least 2 fingers are touching the object, we grab it
-            if (potentialObject) {
-                // don't grab objects that are being released
-                if (potentialObject.body.isBeingReleased) {
-                    return;
-                }
-                
+            // don't grab objects that are being released
+            if (potentialObject && !potentialObject.body.isBeingReleased) {
                 this.isGrabbing = true;
                 this.grabbedObject = potentialObject;
-                this.grabbedObject.body.isHeld = true;
+                this.grip.grab(potentialObject, this.objectsInteraction.countTouchingFingers(potentialObject));
             }
         }
-        if (this.isGrabbing) {
-            this.applyDirectLink(deltaTime);
-        }
 
 
         switch (this.automationState) {
 
             case 'MANUAL_HORIZONTAL': {
-                if (this.machineBox) {
-                    const v = new THREE.Vector3();
-                    if (this.moveState.left)      v.x -= 1;
-                    if (this.moveState.right)     v.x += 1;
-                    if (this.moveState.forward)   v.z -= 1;
-                    if (this.moveState.backward)  v.z += 1;
-
-                    if (v.lengthSq() > 0) {
-                        v.normalize().multiplyScalar(this.moveSpeed * deltaTime);
-                        this.clawGroup.position.add(v);
-                    }
-        
-                    const minX = this.machineBox.min.x + this.moveMargin;
-                    const maxX = this.machineBox.max.x - this.moveMargin;
-                    const minZ = this.machineBox.min.z + this.moveMargin;
-                    const maxZ = this.machineBox.max.z - this.moveMargin;
-                    this.clawGroup.position.x = THREE.MathUtils.clamp(this.clawGroup.position.x, minX, maxX);
-                    this.clawGroup.position.z = THREE.MathUtils.clamp(this.clawGroup.position.z, minZ, maxZ);
+                //time is up and the claw was over the chute, where it can not drop: the joystick does nothing
+                //anymore, the claw is moved off the chute and dropped there
+                if (this.playTimeLeft === 0) {
+                    if (this.moveOffChute(deltaTime)) this.startDropSequence();
+                    break;
+                }
+
+                this.moveWithJoystick(deltaTime);
+
+                if (this.playTimeLeft !== null) {
+                    this.playTimeLeft = Math.max(this.playTimeLeft - deltaTime, 0);
+                    //time is up: the claw drops wherever it is (startDropSequence ends the countdown)
+                    if (this.playTimeLeft === 0) this.startDropSequence();
                 }
                 break;
             }
 
             case 'DESCENDING': {
+                //the claw goes down until it lands on the pile (a finger touches a prize or a probe finds it under
+                //the fingers) or it reaches the deepest point allowed by the operator
+                const landed = this.objectsInteraction.getCollidingFingers().length > 0 || this.probeSurface();
 
-                if (this.clawGroup.position.y > this.dropTargetY) {
+                if (!landed && this.clawGroup.position.y > this.dropTargetY) {
 
-                    this.clawGroup.position.y -= this.moveSpeed * deltaTime;
+                    this.clawGroup.position.y = Math.max(this.clawGroup.position.y - this.moveSpeed * deltaTime, this.dropTargetY);
                 } else {
 
-                    this.clawGroup.position.y = this.dropTargetY;
                     this.runCloseSequence();
                 }
                 break;
@@ -696,9 +988,16 @@ openClaw() {
                     this.clawGroup.position.y += this.moveSpeed * deltaTime;
                 } else {
                     this.clawGroup.position.y = this.returnYPosition;
+                    this.weakenGripAt('dropAtTopOfAscent');
     
-                    if (this.isGrabbing && this.grabbedObject) {
+                    if (this.isGrabbing && this.grabbedObject && this.operatorProfile.settings.manualDelivery && !this.isDemoPlay) {
+
+                        //the player steers the prize to the chute and presses the button
+                        this.deliveryTimeLeft = this.deliveryDuration;
+                        this.automationState = 'MANUAL_DELIVERY';
+                    } else if (this.isGrabbing && this.grabbedObject) {
 
+                        this.deliveryStart.copy(this.clawGroup.position);
                         this.automationState = 'DELIVERING_MOVE_X';
                     } else {
 
@@ -711,22 +1010,17 @@ openClaw() {
                         this.grabbedObject = null;
 
                         
-                        // Open claw asynchronously without blocking state reset
-                        this.openClaw().then(() => {
-
-                        }).catch((error) => {
-
-                        });
+                        // Open claw without blocking state reset
+                        this.openClaw();
                     }
                 }
                 break;
             }
 
             case 'DELIVERING_MOVE_X': {
+                if (this.getDeliveryProgress() >= 0.5) this.weakenGripAt('dropMidDelivery');
                 const targetX = this.dropOffPosition.x;
-                const currentX = this.clawGroup.position.x;
-                this.clawGroup.position.x = THREE.MathUtils.lerp(currentX, targetX, 0.05);
-                if (Math.abs(currentX - targetX) < 0.01) {
+                if (this.moveTowards('x', targetX, deltaTime)) {
                     this.clawGroup.position.x = targetX;
                     this.automationState = 'DELIVERING_MOVE_Z';
                 }
@@ -734,10 +1028,9 @@ openClaw() {
             }
 
             case 'DELIVERING_MOVE_Z': {
+                if (this.getDeliveryProgress() >= 0.5) this.weakenGripAt('dropMidDelivery');
                 const targetZ = this.dropOffPosition.z;
-                const currentZ = this.clawGroup.position.z;
-                this.clawGroup.position.z = THREE.MathUtils.lerp(currentZ, targetZ, 0.05);
-                if (Math.abs(currentZ - targetZ) < 0.01) {
+                if (this.moveTowards('z', targetZ, deltaTime)) {
                     this.clawGroup.position.z = targetZ;
                     this.automationState = 'DELIVERING_DESCEND';
                 }
@@ -755,6 +1048,45 @@ openClaw() {
             }
                 
 
+            case 'MANUAL_DELIVERY': {
+                //the prize slipped out, nothing left to deliver
+                if (!this.isGrabbing) {
+                    this.releaseManualDelivery();
+                    break;
+                }
+                this.moveWithJoystick(deltaTime);
+                this.deliveryTimeLeft = Math.max(this.deliveryTimeLeft - deltaTime, 0);
+                if (this.deliveryTimeLeft <= this.deliveryDuration * 0.5) this.weakenGripAt('dropMidDelivery');
+                //time is up: the claw releases wherever it is
+                if (this.deliveryTimeLeft === 0) this.releaseManualDelivery();
+                break;
+            }
+
+            case 'MANUAL_RELEASE': {
+                //over the chute the claw goes down into the drop zone, elsewhere a little like the automatic delivery
+                const descendTargetY = this.isAboveChute()
+                    ? this.chuteBox.max.y + this.dropZoneThreshold * 0.5
+                    : this.returnYPosition - 0.5;
+                if (this.isGrabbing && !this.isInDropZone() && this.clawGroup.position.y > descendTargetY) {
+                    this.clawGroup.position.y = Math.max(this.clawGroup.position.y - this.moveSpeed * deltaTime, descendTargetY);
+                    break;
+                }
+
+                if (this.isInDropZone()) {
+                    this.triggerAutoDrop();
+                } else {
+                    this.dropOutsideChute();
+                }
+                this.automationState = 'RELEASING_OBJECT';
+                //after the claw has opened, the same pause and return of the automatic delivery
+                this.waitUntil(() => !this.isClosed, () => {
+                    this.wait(0.5, () => {
+                        this.automationState = 'RETURNING_ASCEND';
+                    });
+                });
+                break;
+            }
+
             case 'RETURNING_ASCEND': {
                 if (this.clawGroup.position.y < this.returnYPosition) {
                     this.clawGroup.position.y += this.moveSpeed * deltaTime;
@@ -767,9 +1099,7 @@ openClaw() {
 
             case 'RETURNING_MOVE_Z': {
                 const spawnZ = this.spawnPosition.z;
-                const currentZ = this.clawGroup.position.z;
-                this.clawGroup.position.z = THREE.MathUtils.lerp(currentZ, spawnZ, 0.05);
-                if (Math.abs(currentZ - spawnZ) < 0.01) {
+                if (this.moveTowards('z', spawnZ, deltaTime)) {
                     this.clawGroup.position.z = spawnZ;
                     this.automationState = 'RETURNING_MOVE_X';
                 }
@@ -778,9 +1108,7 @@ openClaw() {
 
             case 'RETURNING_MOVE_X': {
                 const spawnX = this.spawnPosition.x;
-                const currentX = this.clawGroup.position.x;
-                this.clawGroup.position.x = THREE.MathUtils.lerp(currentX, spawnX, 0.05);
-                if (Math.abs(currentX - spawnX) < 0.01) {
+                if (this.moveTowards('x', spawnX, deltaTime)) {
                     this.clawGroup.position.copy(this.spawnPosition);
                     this.automationState = 'MANUAL_HORIZONTAL';
                     this.isAnimating = false;
@@ -794,9 +1122,17 @@ openClaw() {
             }
         }
         
+        //the head swings under the rest position the states have just set
+        this.applySwing(deltaTime);
+        this.updateCable();
+
         if (this.cylinders) {
             this.cylinders.forEach(cyl => cyl.updateMatrixWorld(true));
         }
+        this.updateDropZoneIndicator();
+
+        //after the claw has moved, so the grip point follows it in this step
+        this.updateGrip();
     } 
         
     
@@ -835,6 +1171,53 @@ openClaw() {
         return collisionDetected;
     }
 
+    //the gantry follows the joystick (moveState), inside the machine
+    moveWithJoystick(deltaTime) {
+        if (!this.machineBox) return;
+
+        const v = new THREE.Vector3();
+        if (this.moveState.left)      v.x -= 1;
+        if (this.moveState.right)     v.x += 1;
+        if (this.moveState.forward)   v.z -= 1;
+        if (this.moveState.backward)  v.z += 1;
+
+        if (v.lengthSq() > 0) {
+            v.normalize().multiplyScalar(this.moveSpeed);
+        }
+        //released keys brake the gantry, it does not stop dead
+        this.accelerateGantry(v, deltaTime);
+
+        const minX = this.machineBox.min.x + this.moveMargin;
+        const maxX = this.machineBox.max.x - this.moveMargin;
+        const minZ = this.machineBox.min.z + this.moveMargin;
+        const maxZ = this.machineBox.max.z - this.moveMargin;
+        //at the end of the rails the gantry stops
+        ['x', 'z'].forEach(axis => {
+            const min = axis === 'x' ? minX : minZ;
+            const max = axis === 'x' ? maxX : maxZ;
+            const clamped = THREE.MathUtils.clamp(this.clawGroup.position[axis], min, max);
+            if (clamped !== this.clawGroup.position[axis]) this.gantryVelocity[axis] = 0;
+            this.clawGroup.position[axis] = clamped;
+        });
+    }
+
+    //a coin starts a play: the countdown runs until the drop. false if a play is already running
+    acceptCoin() {
+        if (this.hasActivePlay()) return false;
+        this.playTimeLeft = this.playDuration;
+        return true;
+    }
+
+    //counting down to the drop or running the drop sequence
+    hasActivePlay() {
+        return this.playTimeLeft !== null || this.isAnimating;
+    }
+
+    //the countdown shown in the HUD: before the drop, or to steer the prize in the manual delivery
+    getPlayTimeLeft() {
+        return this.playTimeLeft !== null ? this.playTimeLeft : this.deliveryTimeLeft;
+    }
+
     setMoving(direction, state) {
         this.moveState[direction] = state;
     }
@@ -842,9 +1225,51 @@ openClaw() {
     getDeliveredStars() {
         return this.deliveredStars;
     }
+
+    reportRelease(object) {
+        if (!this.isDemoPlay) this.prizeStats.released++;
+        emitPrizeReleased(object.body);
+    }
+
+    //a won prize is worth the points of its type in stars (1 for objects without a type)
+    creditPrize(prize) {
+        if (this.isDemoPlay) return;
+        this.deliveredStars += prize ? prize.points : 1;
+        this.lastPrize = prize;
+        this.prizeStats.won++;
+        if (prize) this.wonPrizes[prize.id] = (this.wonPrizes[prize.id] || 0) + 1;
+    }
     
     resetScore() {
         this.deliveredStars = 0;
+        this.wonPrizes = {};
+        this.lastPrize = null;
+        this.prizeStats = { released: 0, won: 0 };
+    }
+
+    // back to the idle state (used when a replay restarts): claw open, nothing grabbed, no movement
+    resetToIdle() {
+        this.removeSwing();
+        this.pendulum.reset();
+        this.stopGantry();
+        this.cancelTweens(); //a finger animation or a wait of the old run would move the fingers or change the state
+        this.playTimeLeft = null;
+        this.deliveryTimeLeft = null;
+        this.chuteExit = null;
+        this.automationState = 'MANUAL_HORIZONTAL';
+        this.isAnimating = false;
+        this.isClosed = false;
+        this.isClosing = false;
+        this.grip.release();
+        this.isGrabbing = false;
+        this.grabbedObject = null;
+        this.stopStatus = { A: false, B: false, C: false };
+        Object.keys(this.moveState).forEach(direction => { this.moveState[direction] = false; });
+
+        Object.values(this.clawBones).forEach(bone => {
+            const initial = bone && this.initialTransforms[bone.name];
+            if (initial) bone.rotation.copy(initial.rotation);
+        });
     }
 
 
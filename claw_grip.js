@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+import { FixedJoint } from './physics_engine_joints.js';
+
+/*
+grip of the claw on a prize, made of contact forces instead of a direct link.
+every finger touching the prize squeezes it with gripForce: the squeezes of opposite fingers cancel out, what is left
+is the friction they allow, at most friction * gripForce per finger before the prize slides between them
+(friction of the finger combined with the one of the prize, like the contacts of the engine: a slippery prize slides sooner).
+the fingers are kinematic (the claw animation moves them), the prize is a normal simulated body held by a FixedJoint
+to a point that moves with the claw, whose maxForce is that friction (recomputed every step from the fingers touching).
+so the prize is carried while gravity plus the accelerations of the claw need less than that, otherwise it slips,
+and if it slides out of the fingers (less than minFingers touching for more than looseSteps steps) it is dropped
+*/
+export const GRIP_DEFAULTS = {
+    gripForce: 30, // N squeezed by each finger
+    friction: 0.6, // of the finger, combined with body.friction of the prize
+    minFingers: 2,
+    looseSteps: 6 // the finger contacts flicker, a few steps without them are tolerated
+};
+
+export class ClawGrip {
+    constructor(physicsEngine, clawGroup, options = {}) {
+        this.physicsEngine = physicsEngine;
+        this.clawGroup = clawGroup;
+        this.options = { ...GRIP_DEFAULTS, ...options };
+
+        this.object = null; // grabbable object {body, mesh, name} being held
+        this.joint = null;
+        this.clawOffset = new THREE.Vector3(); // from the claw to the center of the prize when it was grabbed
+        this.looseCounter = 0;
+        this.fingerCount = 0;
+        this.friction = 0; // finger on the held prize
+    }
+
+    setOptions(options) {
+        Object.assign(this.options, options);
+    }
+
+    isHolding() {
+        return this.object !== null;
+    }
+
+    grab(object, fingerCount) {
+        if (this.object) this.release();
+        const body = object.body;
+        this.object = object;
+        this.looseCounter = 0;
+        this.friction = Math.sqrt(this.options.friction * body.friction);
+
+        body.isGripped = true;
+        body.isSleeping = false;
+        body.sleepyTimer = 0;
+        // the claw carries it over the chute, out of the prize area
+        body.addCollisionOverride('grip', { boundsRegion: 'world' });
+
+        this.clawOffset.copy(body.position).sub(this.getClawPosition(_clawPosition));
+        this.joint = this.physicsEngine.addJoint(new FixedJoint(body, null));
+        this.setFingerCount(fingerCount);
+    }
+
+    /*
+    called every fixed step after the claw has moved, with the number of fingers touching the prize.
+    returns false when the prize is lost
+    */
+    update(fingerCount) {
+        if (!this.object) return false;
+
+        if (fingerCount < this.options.minFingers) {
+            this.looseCounter++;
+            if (this.looseCounter > this.options.looseSteps) {
+                this.release();
+                return false;
+            }
+        } else {
+            this.looseCounter = 0;
+        }
+
+        // while it is loose only the last fingers that touched it hold it
+        if (fingerCount > 0) this.setFingerCount(fingerCount);
+        this.joint.setWorldAnchor(this.getClawPosition(_clawPosition).add(this.clawOffset));
+        return true;
+    }
+
+    setFingerCount(fingerCount) {
+        this.fingerCount = fingerCount;
+        const maxForce = this.friction * this.options.gripForce * fingerCount;
+        // the friction also resists the prize turning between the fingers, with an arm of about half its size
+        this.joint.setMaxForce(maxForce, maxForce * this.object.body.boundingRadius * 0.5);
+    }
+
+    // the prize is a free body again (the fingers can still push it while they open)
+    release() {
+        if (!this.object) return;
+        const body = this.object.body;
+        body.isGripped = false;
+        body.removeCollisionOverride('grip');
+        this.physicsEngine.removeJoint(this.joint);
+        this.joint = null;
+        this.object = null;
+        this.fingerCount = 0;
+    }
+
+    getClawPosition(target) {
+        return this.clawGroup.getWorldPosition(target);
+    }
+}
+
+const _clawPosition = new THREE.Vector3();
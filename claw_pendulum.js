@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+
+/*
+swing of the claw head, hanging from the gantry by its cable like a damped pendulum.
+the gantry (the cable top) is moved by the claw controller, the head lags behind it: when the gantry accelerates
+or brakes the head swings the other way, then the cable friction slowly damps it.
+small angles: the state is the horizontal offset of the head from the point right under the gantry, pulled back
+with g / length. a grabbed prize hangs under the head, so it lowers the center of mass (slower swing) and adds
+mass against the same damping (longer swing)
+*/
+export const PENDULUM_DEFAULTS = {
+    gravity: 9.81,
+    headMass: 1, // kg, the claw head alone
+    damping: 1.5, // N*s/m of the cable and the gantry
+    minLength: 0.1, // the cable is never shorter than this, the head is right under the gantry
+    maxAngle: 0.35 // rad, the head hits the gantry frame beyond this
+};
+
+export class ClawPendulum {
+    constructor(options = {}) {
+        this.options = { ...PENDULUM_DEFAULTS, ...options };
+
+        this.offset = new THREE.Vector3(); // from the rest position to the head, y is how much the head rises
+        this.velocity = new THREE.Vector3(); // of the head relative to the gantry
+        this.gantryPosition = new THREE.Vector3();
+        this.gantryVelocity = new THREE.Vector3();
+        this.hasGantry = false;
+    }
+
+    /*
+    called every fixed step with the rest position of the head (under the gantry) and the free length of the cable,
+    load is the grabbed prize: its mass and how far below the head its center is.
+    returns the offset of the head
+    */
+    update(restPosition, cableLength, deltaTime, loadMass = 0, loadDrop = 0) {
+        // the acceleration of the gantry is measured from how it moved, the reel (y) does not make it swing
+        if (!this.hasGantry) {
+            this.gantryPosition.copy(restPosition);
+            this.gantryVelocity.set(0, 0, 0);
+            this.hasGantry = true;
+        }
+        _velocity.subVectors(restPosition, this.gantryPosition).divideScalar(deltaTime);
+        _velocity.y = 0;
+        _acceleration.subVectors(_velocity, this.gantryVelocity).divideScalar(deltaTime);
+        this.gantryVelocity.copy(_velocity);
+        this.gantryPosition.copy(restPosition);
+
+        const { gravity, headMass, damping, minLength, maxAngle } = this.options;
+        const mass = headMass + loadMass;
+        const length = Math.max(cableLength, minLength) + Math.max(loadDrop, 0) * loadMass / mass;
+        const stiffness = gravity / length;
+
+        // semi-implicit euler, stable as long as the step is shorter than the period / pi
+        ['x', 'z'].forEach(axis => {
+            const acceleration = -stiffness * this.offset[axis] - damping / mass * this.velocity[axis] - _acceleration[axis];
+            this.velocity[axis] += acceleration * deltaTime;
+            this.offset[axis] += this.velocity[axis] * deltaTime;
+        });
+
+        const maxOffset = Math.sin(maxAngle) * length;
+        const horizontal = Math.hypot(this.offset.x, this.offset.z);
+        if (horizontal > maxOffset) {
+            const scale = maxOffset / horizontal;
+            this.offset.x *= scale;
+            this.offset.z *= scale;
+            this.velocity.x *= scale;
+            this.velocity.z *= scale;
+        }
+
+        // on the arc of the cable the head goes up when it swings out
+        this.offset.y = length - Math.sqrt(length * length - Math.min(horizontal, maxOffset) ** 2);
+        return this.offset;
+    }
+
+    // the head touches a wall: it can not go further than limit on that axis and loses its speed towards it
+    limit(axis, min, max) {
+        if (this.offset[axis] < min) {
+            this.offset[axis] = min;
+            this.velocity[axis] = Math.max(this.velocity[axis], 0);
+        } else if (this.offset[axis] > max) {
+            this.offset[axis] = max;
+            this.velocity[axis] = Math.min(this.velocity[axis], 0);
+        }
+    }
+
+    // the head hangs still, the next update starts from wherever the gantry is
+    reset() {
+        this.offset.set(0, 0, 0);
+        this.velocity.set(0, 0, 0);
+        this.gantryVelocity.set(0, 0, 0);
+        this.hasGantry = false;
+    }
+
+    serialize() {
+        return {
+            offset: this.offset.toArray(),
+            velocity: this.velocity.toArray(),
+            gantryPosition: this.hasGantry ? this.gantryPosition.toArray() : null,
+            gantryVelocity: this.gantryVelocity.toArray()
+        };
+    }
+
+    restore(state) {
+        this.offset.fromArray(state.offset);
+        this.velocity.fromArray(state.velocity);
+        this.gantryVelocity.fromArray(state.gantryVelocity);
+        this.hasGantry = !!state.gantryPosition;
+        if (this.hasGantry) this.gantryPosition.fromArray(state.gantryPosition);
+    }
+}
+
+const _velocity = new THREE.Vector3();
+const _acceleration = new THREE.Vector3();
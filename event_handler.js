@@ -5,6 +5,8 @@ let playerInputHandler = null;
 let candyMachine = null;
 let coins = 0;
 let isGameOver = false;
+let inputRecorder = null;
+let isReplaying = false;
 
 function setEventHandlerState(state) {
     gameMode = state.gameMode || gameMode;
@@ -14,6 +16,45 @@ function setEventHandlerState(state) {
     candyMachine = state.candyMachine || candyMachine;
     coins = state.coins !== undefined ? state.coins : coins;
     isGameOver = state.isGameOver !== undefined ? state.isGameOver : isGameOver;
+    inputRecorder = state.inputRecorder !== undefined ? state.inputRecorder : inputRecorder;
+    isReplaying = state.isReplaying !== undefined ? state.isReplaying : isReplaying;
+}
+
+// every input that reaches the claw goes through here, so it can be recorded and replayed
+// (see input_recorder.js for the format of the inputs)
+function applyClawInput(input, controller, callbacks = {}) {
+    switch (input.type) {
+        case 'setMoving':
+            controller.setMoving(input.direction, input.active);
+            break;
+        case 'startDropSequence':
+            controller.startDropSequence();
+            break;
+        case 'acceptCoin':
+            controller.acceptCoin();
+            break;
+        case 'coins':
+            if (callbacks.updateCoinsDisplay) {
+                callbacks.updateCoinsDisplay(input.coins);
+            }
+            break;
+    }
+}
+
+function dispatchClawInput(input, callbacks) {
+    inputRecorder?.record(input);
+    applyClawInput(input, clawController, callbacks);
+}
+
+// a play starts with the first move or drop: the coin is spent and the countdown of the claw starts.
+// false if there is no coin for it
+function startPlay(callbacks) {
+    if (clawController.hasActivePlay()) return true;
+    if (isGameOver || coins <= 0) return false;
+    coins--;
+    dispatchClawInput({ type: 'coins', coins }, callbacks);
+    dispatchClawInput({ type: 'acceptCoin' }, callbacks);
+    return true;
 }
 
 function handleKeyDown(e, callbacks) {
@@ -24,6 +65,11 @@ function handleKeyDown(e, callbacks) {
 
     if (isGamePaused) return;
 
+    if (e.code === 'KeyG' && !e.repeat) {
+        callbacks.togglePhysicsDebug?.();
+        return;
+    }
+
     switch(gameMode) {
         case 'exploration':
             if (playerInputHandler) {
@@ -39,7 +85,7 @@ function handleKeyDown(e, callbacks) {
     }
 }
 
-function handleKeyUp(e) {
+function handleKeyUp(e, callbacks = {}) {
     switch(gameMode) {
         case 'exploration':
             if (playerInputHandler) {
@@ -47,7 +93,7 @@ function handleKeyUp(e) {
             }
             break;
         case 'claw_machine':
-            handleClawMachineKeyUp(e);
+            handleClawMachineKeyUp(e, callbacks);
             break;
         case 'candy_machine':
             handleCandyMachineKeyUp(e);
@@ -62,31 +108,38 @@ function handleClawMachineKeyDown(e, callbacks) {
         e.preventDefault();
     }
 
+    //during a replay the claw only follows the recording, camera and exit still work
+    if (isReplaying && !['KeyP', 'Escape'].includes(e.code)) return;
+
+    //the claw does not move without a coin
+    if (['ArrowLeft', 'ArrowRight', 'KeyA', 'KeyD', 'KeyW', 'KeyS'].includes(e.code) && !startPlay(callbacks)) return;
+
     switch (e.code) {
         case 'ArrowLeft':
         case 'KeyA':       
-            clawController.setMoving('left', true); 
+            dispatchClawInput({ type: 'setMoving', direction: 'left', active: true }, callbacks);
             break;
         case 'ArrowRight':
         case 'KeyD':       
-            clawController.setMoving('right', true); 
+            dispatchClawInput({ type: 'setMoving', direction: 'right', active: true }, callbacks);
             break;
         case 'KeyW':       
-            clawController.setMoving('forward', true); 
+            dispatchClawInput({ type: 'setMoving', direction: 'forward', active: true }, callbacks);
             break;
         case 'KeyS':       
-            clawController.setMoving('backward', true);
+            dispatchClawInput({ type: 'setMoving', direction: 'backward', active: true }, callbacks);
             break;
         case 'ArrowDown':
+            //in the manual delivery the button releases the prize (the coin of this play is already spent)
+            if (!e.repeat && clawController.isManualDelivery()) {
+                dispatchClawInput({ type: 'startDropSequence' }, callbacks);
+                break;
+            }
             console.log('ArrowDown pressed - repeat:', e.repeat, 'gameOver:', isGameOver, 'isAnimating:', clawController?.isAnimating, 'coins:', coins);
             if (!e.repeat && !isGameOver && !clawController.isAnimating) {
-                if (coins > 0) {
-                    console.log('Processing ArrowDown - decrementing coins and starting drop sequence');
-                    coins--;
-                    clawController.startDropSequence();
-                    if (callbacks.updateCoinsDisplay) {
-                        callbacks.updateCoinsDisplay(coins);
-                    }
+                if (startPlay(callbacks)) {
+                    console.log('Processing ArrowDown - starting drop sequence');
+                    dispatchClawInput({ type: 'startDropSequence' }, callbacks);
                 } else {
                     console.log('ArrowDown blocked - no coins available');
                 }
@@ -107,23 +160,23 @@ function handleClawMachineKeyDown(e, callbacks) {
     }
 }
 
-function handleClawMachineKeyUp(e) {
-    if (!clawController) return;
+function handleClawMachineKeyUp(e, callbacks = {}) {
+    if (!clawController || isReplaying) return;
     
     switch (e.code) {
         case 'ArrowLeft':
         case 'KeyA':       
-            clawController.setMoving('left', false); 
+            dispatchClawInput({ type: 'setMoving', direction: 'left', active: false }, callbacks);
             break;
         case 'ArrowRight':
         case 'KeyD':       
-            clawController.setMoving('right', false); 
+            dispatchClawInput({ type: 'setMoving', direction: 'right', active: false }, callbacks);
             break;
         case 'KeyW':       
-            clawController.setMoving('forward', false); 
+            dispatchClawInput({ type: 'setMoving', direction: 'forward', active: false }, callbacks);
             break;
         case 'KeyS':       
-            clawController.setMoving('backward', false); 
+            dispatchClawInput({ type: 'setMoving', direction: 'backward', active: false }, callbacks);
             break;
     }
 }
@@ -163,5 +216,6 @@ export {
     handleClawMachineKeyUp,
     handleCandyMachineKeyDown,
     handleCandyMachineKeyUp,
-    setEventHandlerState
+    setEventHandlerState,
+    applyClawInput
 };
\ No newline at end of file
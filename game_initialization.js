@@ -3,6 +3,7 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { PhysicsEngine } from './physics_engine.js';
+import { PhysicsWorkerHost, isPhysicsWorkerRequested } from './physics_worker_host.js';
 import { MeshBVH } from 'https://unpkg.com/three-mesh-bvh@0.7.0/build/index.module.js';
 import { CameraManager } from './Camera_manager.js';
 import { PlayerController } from './Player_controller.js';
@@ -110,8 +111,10 @@ function setupAudioSystem() {
 }
 
 function setupCoreGameSystems() {
-    // Initialize physics engine first
-    physicsEngine = new PhysicsEngine();
+    // Initialize physics engine first (?physicsWorker runs the simulation off the main thread, same API)
+    physicsEngine = isPhysicsWorkerRequested() ? new PhysicsWorkerHost() : new PhysicsEngine();
+    // impact sounds, scaled by the impulse of the contact
+    physicsEngine.onCollisionEnter(event => audioManager.playImpactSound(event.impulse));
     
     // Setup camera system first
     cameraManager = new CameraManager(camera);
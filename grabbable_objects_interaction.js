@@ -1,10 +1,11 @@
 import * as THREE from 'three';
 import { Vec3 } from './physics_engine_vec3.js';
+import { CollisionLayers } from './physics_engine.js';
 
 export class GrabbableObjectsInteraction {
     constructor(cylinders) {
         this.cylinders = cylinders;
-        this.objects = []; //array of {body, mesh, name} objects
+        this.objects = []; //array of {body, mesh, name, prize} objects, prize is the type from the prize catalog
         this.collisions = { A: false, B: false, C: false };
         this.collisionDetails = { A: null, B: null, C: null }; //store which object each finger is touching
         this.cylinderToFinger = { 'Cylinder': 'A', 'Cylinder003': 'B', 'Cylinder008': 'C' };
@@ -22,11 +23,12 @@ export class GrabbableObjectsInteraction {
     }
 
 
-    addGrabbableObject(body, name) {
+    addGrabbableObject(body, name, prize = null) {
         this.objects.push({
             body: body,
             mesh: body.mesh,
-            name: name
+            name: name,
+            prize: prize
         });
     }
 
@@ -40,7 +42,7 @@ skips objects that are:
     - missing body/mesh
     - static (inverseMass === 0)
     - already held (body.isHeld)
-    - ignoring claw collision (body.ignoreClawCollision)
+    - not colliding with the claw layer (collision mask without CollisionLayers.CLAW)
    check Collisions: Tests each valid object against claw fingers
 */
     
@@ -53,7 +55,7 @@ skips objects that are:
 
         //check collisions with all grabbable objects
         this.objects.forEach(obj => {
-            if (!obj.body || !obj.mesh || obj.body.inverseMass === 0 || obj.body.isHeld || obj.body.ignoreClawCollision) {
+            if (!obj.body || !obj.mesh || obj.body.inverseMass === 0 || obj.body.isHeld || !obj.body.collidesWithLayer(CollisionLayers.CLAW)) {
     return; //salta le collisioni con la claw 
 }            
             this.checkCollisionsWithObject(obj);
@@ -70,8 +72,8 @@ skips objects that are:
         if (!objectBVH) {
             return;
         }
-        //update world matrices, since BVH relies on them
-        objectMesh.updateMatrixWorld(true);
+        //the mesh is interpolated for rendering, so the BVH test uses the transform of the physics body
+        const objectMatrix = obj.body.getWorldMatrix();
 
 
         this.cylinders.forEach(fingerMesh => {
@@ -85,7 +87,7 @@ skips objects that are:
             try {
                 //use intersectsGeometry method to detect collisions
                 const fingerToObject = new THREE.Matrix4();
-                fingerToObject.copy(objectMesh.matrixWorld).invert().multiply(fingerMesh.matrixWorld);
+                fingerToObject.copy(objectMatrix).invert().multiply(fingerMesh.matrixWorld);
                 
                 const intersection = objectBVH.intersectsGeometry(fingerMesh.geometry, fingerToObject);
                 
@@ -98,9 +100,10 @@ skips objects that are:
 
                     //calculate contact point and resolve collision
                     //depending on the contact point, we'll have a particular behavior
-                    const contactInfo = this.calculateContactPoint(objectBVH, fingerMesh, objectMesh);
+                    const contactInfo = this.calculateContactPoint(objectBVH, fingerMesh, objectMesh, objectMatrix);
                     
-                    if (contactInfo) {
+                    //the prize squeezed by the claw is held by the grip (claw_grip.js), the fingers do not push it away
+                    if (contactInfo && !obj.body.isGripped) {
                         this.resolveCollision(obj.body, contactInfo.contactPoint, contactInfo.normal, contactInfo.penetrationDepth);
                     }
                 }
@@ -134,7 +137,7 @@ outputs you use: the normal, the closest surface point, and the penetration dept
 */
 
 
-    calculateContactPoint(objectBVH, fingerMesh, objectMesh) {
+    calculateContactPoint(objectBVH, fingerMesh, objectMesh, objectMatrix = objectMesh.matrixWorld) {
         // Ensure bounding boxes are computed
         if (!objectMesh.geometry.boundingBox) {
             objectMesh.geometry.computeBoundingBox();
@@ -145,7 +148,7 @@ outputs you use: the normal, the closest surface point, and the penetration dept
 
         // Get centers in world space of both finger and object
         const objectCenter = new THREE.Vector3();
-        objectMesh.geometry.boundingBox.getCenter(objectCenter).applyMatrix4(objectMesh.matrixWorld);
+        objectMesh.geometry.boundingBox.getCenter(objectCenter).applyMatrix4(objectMatrix);
 
         const fingerCenter = new THREE.Vector3();
         fingerMesh.geometry.boundingBox.getCenter(fingerCenter).applyMatrix4(fingerMesh.matrixWorld);
@@ -162,11 +165,11 @@ outputs you use: the normal, the closest surface point, and the penetration dept
         try {
             // Find closest point on object surface to finger center
             const objectLocalPoint = fingerCenter.clone();
-            objectLocalPoint.applyMatrix4(objectMesh.matrixWorld.clone().invert());
+            objectLocalPoint.applyMatrix4(objectMatrix.clone().invert());
             
             const closestPoint = new THREE.Vector3();
             objectBVH.closestPointToPoint(objectLocalPoint, closestPoint);
-            closestPoint.applyMatrix4(objectMesh.matrixWorld);
+            closestPoint.applyMatrix4(objectMatrix);
             
             // Use the closest point as contact point
             contactPoint = closestPoint;
@@ -241,6 +244,8 @@ applies force (push out) and torque (spin if off-center) for a firm, non-bouncy
         const totalForce = new Vec3().copy(penaltyForce).add(dampingForce);
 
         // spply force and the resulting torque for natural rotation
+        // the torque goes through the inverse inertia of the body in RigidBody.update, so a finger pushing on the tip
+        // of a star spins it more than one pushing near its center
         const contactPointRelative = new Vec3().copy(contactPoint).sub(objectBody.position);
         const torque = new Vec3().crossVectors(contactPointRelative, totalForce);
         
@@ -267,6 +272,36 @@ applies force (push out) and torque (spin if off-center) for a firm, non-bouncy
     //     return result;
     // }
 
+    // how many fingers are touching this object in the last update
+    countTouchingFingers(object) {
+        return Object.values(this.collisionDetails).filter(touched => touched === object).length;
+    }
+
+    /*
+    first prize under a point: a vertical ray going down from origin (world space), tested against the BVH of
+    every prize with the transform of its physics body. the prize in the claw is skipped.
+    returns { height, object } with the world height of the hit, or null
+    */
+    raycastDown(origin) {
+        let closest = null;
+        this.objects.forEach(obj => {
+            const bvh = obj.mesh && obj.mesh.geometry.boundsTree;
+            if (!bvh || obj.body.isGripped) return;
+
+            _toLocal.copy(obj.body.getWorldMatrix()).invert();
+            _ray.origin.copy(origin).applyMatrix4(_toLocal);
+            _ray.direction.set(0, -1, 0).transformDirection(_toLocal);
+            const hit = bvh.raycastFirst(_ray, THREE.DoubleSide);
+            if (!hit) return;
+
+            const height = hit.point.applyMatrix4(obj.body.worldMatrix).y;
+            if (height <= origin.y && (!closest || height > closest.height)) {
+                closest = { height, object: obj };
+            }
+        });
+        return closest;
+    }
+
     // Get which fingers are touching objects
     getCollidingFingers() {
         return Object.keys(this.collisions).filter(finger => this.collisions[finger]);
@@ -299,4 +334,7 @@ applies force (push out) and torque (spin if off-center) for a firm, non-bouncy
 
         return null; // No object is grabbable
     }
-} 
\ No newline at end of file
+} 
+
+const _ray = new THREE.Ray();
+const _toLocal = new THREE.Matrix4();
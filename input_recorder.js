@@ -0,0 +1,220 @@
+/*
+input recording and replay for the claw machine.
+
+a recording is: the seed and the state of the seeded random, a physics snapshot, the claw state and the coins
+at the moment recording started, then every input sent to the ClawController stamped with the fixed step
+it happened on. replaying restores the starting state and feeds the inputs back on the same fixed steps,
+so the same seed + the same inputs give the same run.
+
+inputs are plain objects, the same ones event_handler.js applies with applyClawInput:
+  { type: 'setMoving', direction, active }
+  { type: 'startDropSequence' }
+  { type: 'acceptCoin' }
+  { type: 'coins', coins }
+*/
+
+const RECORDING_VERSION = 1;
+
+export class InputRecorder {
+    constructor(physicsEngine, clawController, random) {
+        this.physicsEngine = physicsEngine;
+        this.clawController = clawController;
+        this.random = random;
+        this.isRecording = false;
+        this.recording = null;
+        this.step = 0;
+    }
+
+    //starts a new recording from the current state of the machine
+    start(coins) {
+        const claw = this.clawController;
+        this.recording = {
+            version: RECORDING_VERSION,
+            seed: this.random.seed,
+            randomState: this.random.getState(),
+            fixedTimeStep: this.physicsEngine.fixedTimeStep,
+            snapshot: this.physicsEngine.serialize(),
+            claw: {
+                position: claw.getRestPosition().toArray(),
+                gantryVelocity: claw.gantryVelocity.toArray(),
+                swing: claw.pendulum.serialize(), //the head can be swinging when the recording starts
+                moveState: { ...claw.moveState },
+                playTimeLeft: claw.playTimeLeft,
+                deliveryTimeLeft: claw.deliveryTimeLeft,
+                deliveredStars: claw.getDeliveredStars(),
+                wonPrizes: { ...claw.wonPrizes },
+                prizeStats: { ...claw.prizeStats },
+                operator: claw.operatorProfile.serialize() //grip strength and play counter decide the grabs
+            },
+            coins,
+            duration: 0,
+            events: []
+        };
+        this.step = 0;
+        this.isRecording = true;
+    }
+
+    record(input) {
+        if (!this.isRecording) return;
+        this.recording.events.push({ step: this.step, time: this.step * this.recording.fixedTimeStep, ...input });
+    }
+
+    //called on every fixed step, inputs recorded between two steps are applied before the next one
+    onFixedStep() {
+        if (this.isRecording) this.step++;
+    }
+
+    stop() {
+        if (!this.isRecording) return null;
+        this.isRecording = false;
+        this.recording.duration = this.step * this.recording.fixedTimeStep;
+        const recording = this.recording;
+        this.recording = null;
+        return recording;
+    }
+}
+
+//saves the recording as a .json file
+export function downloadRecording(recording, filename = `claw_replay_${recording.seed}.json`) {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+//reads a recording from a File picked with an <input type="file">
+export async function readRecordingFile(file) {
+    const recording = JSON.parse(await file.text());
+    if (recording.version !== RECORDING_VERSION || !Array.isArray(recording.events)) {
+        throw new Error('Not a claw machine recording');
+    }
+    return recording;
+}
+
+/*
+plays a recording back.
+applyInput(input) sends an input to the claw (the same path the keyboard uses),
+onRestart(recording) lets the game restore what is not in the physics snapshot (coins, the prize meshes taken off by the animations, ui),
+simulateStep is the per-step simulation callback of the game, needed to fast forward when scrubbing
+*/
+export class InputReplayer {
+    constructor({ physicsEngine, clawController, random, applyInput, onRestart = null, simulateStep = null, onFinished = null }) {
+        this.physicsEngine = physicsEngine;
+        this.clawController = clawController;
+        this.random = random;
+        this.applyInput = applyInput;
+        this.onRestart = onRestart;
+        this.simulateStep = simulateStep;
+        this.onFinished = onFinished;
+        this.recording = null;
+        this.isPlaying = false;
+        this.step = 0;
+        this.nextEvent = 0;
+        this.speed = 1;
+        this.baseMaxSubSteps = physicsEngine.maxSubSteps;
+        this.seekStep = null; // step a seek is fast forwarding to, null when not seeking
+        this.maxSeekSteps = 240; // fixed steps simulated per frame while seeking, the page keeps drawing
+    }
+
+    get duration() {
+        return this.recording ? this.recording.duration : 0;
+    }
+
+    get currentTime() {
+        return this.recording ? this.step * this.recording.fixedTimeStep : 0;
+    }
+
+    play(recording) {
+        this.recording = recording;
+        this.isPlaying = true;
+        this.setSpeed(this.speed);
+        this.restart();
+    }
+
+    //puts the machine back in the state it had when the recording started
+    restart() {
+        const recording = this.recording;
+        const { missing } = this.physicsEngine.deserialize(recording.snapshot);
+        if (missing.length > 0) console.warn('Replay: bodies missing from the scene', missing);
+
+        this.random.reseed(recording.seed);
+        this.random.setState(recording.randomState);
+
+        const claw = this.clawController;
+        claw.resetToIdle();
+        claw.clawGroup.position.fromArray(recording.claw.position);
+        if (recording.claw.gantryVelocity) claw.gantryVelocity.fromArray(recording.claw.gantryVelocity);
+        if (recording.claw.swing) claw.pendulum.restore(recording.claw.swing);
+        Object.assign(claw.moveState, recording.claw.moveState);
+        if (recording.claw.playTimeLeft !== undefined) claw.playTimeLeft = recording.claw.playTimeLeft;
+        if (recording.claw.deliveryTimeLeft !== undefined) claw.deliveryTimeLeft = recording.claw.deliveryTimeLeft;
+        claw.deliveredStars = recording.claw.deliveredStars;
+        claw.wonPrizes = { ...(recording.claw.wonPrizes || {}) };
+        claw.lastPrize = null;
+        claw.prizeStats = { released: 0, won: 0, ...recording.claw.prizeStats };
+        if (recording.claw.operator) claw.operatorProfile.restore(recording.claw.operator);
+
+        this.step = 0;
+        this.nextEvent = 0;
+        this.seekStep = null;
+        if (this.onRestart) this.onRestart(recording);
+    }
+
+    //called on every fixed step before the claw is updated
+    onFixedStep() {
+        if (!this.isPlaying) return;
+        const events = this.recording.events;
+        while (this.nextEvent < events.length && events[this.nextEvent].step <= this.step) {
+            this.applyInput(events[this.nextEvent]);
+            this.nextEvent++;
+        }
+        this.step++;
+
+        if (this.currentTime >= this.duration) this.stop();
+    }
+
+    //playback speed, the frame time is multiplied by it so more (or less) fixed steps run per frame
+    setSpeed(speed) {
+        this.speed = Math.max(speed, 0);
+        this.physicsEngine.maxSubSteps = this.baseMaxSubSteps * Math.max(1, Math.ceil(this.speed));
+    }
+
+    //jumps to a time of the recording: going back restarts from the beginning, then updateSeek simulates
+    //step by step up to the target (the result is the same as watching it, just without rendering)
+    seek(time) {
+        if (!this.recording) return;
+        const targetStep = Math.round(Math.min(Math.max(time, 0), this.duration) / this.recording.fixedTimeStep);
+        if (!this.isPlaying) this.play(this.recording); // play restarts from the beginning
+        else if (targetStep < this.step) this.restart();
+        this.seekStep = targetStep > this.step ? targetStep : null;
+    }
+
+    get isSeeking() {
+        return this.seekStep !== null;
+    }
+
+    //called every frame instead of the normal physics step while seeking, a long seek is spread over many frames
+    updateSeek() {
+        if (this.seekStep === null) return;
+        let steps = 0;
+        while (this.step < this.seekStep && this.isPlaying && steps < this.maxSeekSteps) {
+            this.physicsEngine.runFixedStep(this.simulateStep);
+            steps++;
+        }
+        this.physicsEngine.bodies.forEach(body => body.syncMesh(1));
+        if (this.step >= this.seekStep || !this.isPlaying) this.seekStep = null;
+    }
+
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        this.seekStep = null;
+        this.physicsEngine.maxSubSteps = this.baseMaxSubSteps;
+        //back to the operator profile of the machine
+        this.clawController.operatorProfile.load();
+        if (this.onFinished) this.onFinished();
+    }
+}
@@ -16,13 +16,20 @@ import {
 import {
     handleKeyDown as eventHandleKeyDown,
     handleKeyUp as eventHandleKeyUp,
-    setEventHandlerState
+    setEventHandlerState,
+    applyClawInput
 } from './event_handler.js';
+import { InputRecorder, InputReplayer, downloadRecording, readRecordingFile } from './input_recorder.js';
+import { PhysicsDebugRenderer } from './physics_debug_renderer.js';
+import { AttractMode } from './attract_mode.js';
+import { loadPrizeCatalog, loadPrizeSounds, getPrizeById } from './prize_catalog.js';
+import { onPrizeWon } from './prize_events.js';
+import { getRandom } from './seeded_random.js';
 import {
-    checkFinalPrizeTrigger,
-    checkChuteTrigger,
+    setupPrizeTriggers,
     tryInitializeClawController,
-    resetObjects
+    resetObjects,
+    restorePrizeMeshes
 } from './prize_trigger_manager.js';
 import {
     showInteractionPrompt,
@@ -38,7 +45,8 @@ import {
 
 let scene, camera, renderer, controls;
 let physicsEngine;
-let grabbableObjects = [];
+let grabbableObjects = []; // { body, name, prize } with prize the type from the prize catalog
+let prizeCatalog = [];
 let clawController, objectsInteraction;
 let candyMachinePrizeAreaBox = null;
 
@@ -92,6 +100,17 @@ let isGameOver = false;
 let popcornManager;
 let popcornSpawnPoint;
 
+// INPUT RECORDING AND REPLAY (created once the claw controller exists)
+let inputRecorder = null;
+let inputReplayer = null;
+let replayScrubTarget = null; // time shown while the user drags the scrub bar
+
+// PHYSICS DEBUG OVERLAY (G)
+let physicsDebugRenderer = null;
+
+// ATTRACT MODE: the claw machine plays a demo when nobody is around (created once the claw controller exists)
+let attractMode = null;
+
 // Function to update popcornManager when it's loaded asynchronously
 window.updatePopcornManager = function(newPopcornManager) {
     console.log('Updating global popcornManager reference:', newPopcornManager);
@@ -200,6 +219,9 @@ function updateGameUI() {
         document.getElementById('starCounter').textContent = currentStars;
     }
 
+    updatePlayTimer();
+    updatePrizeTally();
+
     const gameOverMsg = document.getElementById('gameOverMessage');
     if (gameOverMsg) {
         if (isGameOver) {
@@ -225,6 +247,56 @@ function updateGameUI() {
 
 
 
+// the prizes won in this game by type, the last one first
+function updatePrizeTally() {
+    const tallyElement = document.getElementById('prizeTally');
+    if (!tallyElement || !clawController) return;
+    const counts = Object.entries(clawController.wonPrizes).map(([id, count]) => {
+        const prize = getPrizeById(prizeCatalog, id);
+        return `${prize ? prize.name : id} ×${count}`;
+    });
+    const last = clawController.lastPrize;
+    const { released, won } = clawController.prizeStats;
+    const text = counts.length === 0
+        ? 'No prizes yet'
+        : `${last ? `Last: ${last.name} (${last.rarity}) +${last.points} · ` : ''}${counts.join(', ')} · ${won}/${released} drops won`;
+    if (tallyElement.textContent !== text) tallyElement.textContent = text;
+}
+
+// the HUD listens to the win pipeline (prize_events.js): a short message with what was won
+const PRIZE_MESSAGE_TIME = 2500; // ms
+let prizeMessageTimeout = null;
+
+onPrizeWon(({ name, prize }) => {
+    const messageElement = document.getElementById('prizeWonMessage');
+    if (!messageElement || attractMode?.isActive) return; // the demo does not win anything
+    messageElement.textContent = prize ? `🎉 ${prize.name} won! +${prize.points} ⭐` : `🎉 ${name} won!`;
+    messageElement.style.display = 'block';
+    clearTimeout(prizeMessageTimeout);
+    prizeMessageTimeout = setTimeout(() => { messageElement.style.display = 'none'; }, PRIZE_MESSAGE_TIME);
+});
+
+// countdown of the claw play, it beeps on every second of the last COUNTDOWN_WARNING_TIME (higher on the last one)
+const COUNTDOWN_WARNING_TIME = 5;
+let lastCountdownSecond = null;
+
+function updatePlayTimer() {
+    const timeLeft = clawController ? clawController.getPlayTimeLeft() : null;
+    const timerElement = document.getElementById('playTimer');
+    if (timeLeft === null) {
+        if (timerElement) timerElement.textContent = '--';
+        lastCountdownSecond = null;
+        return;
+    }
+
+    const second = Math.ceil(timeLeft);
+    if (timerElement) timerElement.textContent = second;
+    if (second !== lastCountdownSecond && second > 0 && second <= COUNTDOWN_WARNING_TIME) {
+        audioManager?.playBeep(second === 1 ? 1320 : 880);
+    }
+    lastCountdownSecond = second;
+}
+
 function updateScoreDisplay() {
     const counterElement = document.getElementById('starCounter');
     if (counterElement && clawController) {
@@ -275,6 +347,8 @@ function init() {
     interactionZones = initializedSystems.interactionZones;
     interactionPrompt = initializedSystems.interactionPrompt;
     lightReferences = initializedSystems.lightReferences;
+
+    physicsDebugRenderer = new PhysicsDebugRenderer(scene, physicsEngine);
     
     
     // Start animation loop after all systems are initialized
@@ -328,6 +402,9 @@ function initializeGameLogic() {
     
     document.addEventListener('keydown', handleKeyDown);
     document.addEventListener('keyup', handleKeyUp);
+    // any input keeps the claw machine from starting its demo
+    document.addEventListener('mousemove', () => attractMode?.notifyInput());
+    document.addEventListener('mousedown', () => attractMode?.notifyInput());
     
 
     document.getElementById('resumeBtn').onclick = togglePauseMenu;
@@ -362,6 +439,8 @@ function handleChangeCharacter() {
 
 
 function onZoneEnter(zone) {
+    // somebody is coming to play: the demo stops and the pit is put back in order
+    if (zone.machineType === 'claw_machine') attractMode?.stop();
     currentZone = zone;
     roomSetupManager.setCurrentZone(zone);
     showInteractionPrompt(zone.machineType, interactionPrompt);
@@ -380,6 +459,7 @@ function onZoneExit(zone) {
 function enterMachineModeWrapper(machineType) {
     const result = enterMachineMode(machineType, cameraManager, playerController, machineOffset, candyMachineOffset, interactionPrompt, clawCameraMode);
     if (result.success) {
+        attractMode?.stop(); // the demo only runs in exploration mode
         gameMode = result.newGameMode;
     }
 }
@@ -430,65 +510,85 @@ function setupPhysicsAndObjects() {
 
     
     physicsEngine.setWorldBounds(expandedMin, expandedMax);
-    
-    // Load multiple objects
-    // const objectsToLoad = [
-    //     { file: 'glbmodels/star_prize.glb', name: 'Star', scale: 0.16, targetMeshName: 'star' },
-    //     //file: 'perfect_football__soccer_ball.glb', name: 'Ball', scale: 0.003, targetMeshName: null }
-    // ];
-    
-    // let loadedCount = 0;
-    const loader = new GLTFLoader();
-   
-
-loader.load('glbmodels/star_prize.glb', (gltf) => {
-
-
-let starMesh;
-gltf.scene.traverse(node => {
-    if (node.isMesh && node.name.toLowerCase().includes('star')) starMesh = node;
-});
-if (!starMesh) { return; }
-
-//we prepare meshbvh
-starMesh.geometry.computeVertexNormals();
-starMesh.geometry.computeBoundingBox();
-starMesh.geometry.boundsTree = new MeshBVH(starMesh.geometry);
-
-/* 2. crea 20 copie (la prima è l'originale) */
-const STAR_COUNT = 20;
-for (let i = 0; i < STAR_COUNT; i++) {
 
-
-const mesh = i === 0 ? starMesh : starMesh.clone();
-
-// give each star its own material instance ---
-mesh.material = starMesh.material.clone();
-
-mesh.name = `Star_${i}`;
-mesh.scale.setScalar(0.16);
-scene.add(mesh);
-
-// rigid-body
-const body = new RigidBody(mesh, 1.0);
-physicsEngine.addBody(body);
-
-// register the body and mesh in the grabbableObjects array
-grabbableObjects.push({ body, name: mesh.name });
-objectsInteraction?.addGrabbableObject(body, mesh.name);
+    // the chute helpers become physics sensors, stars entering them are handled in prize_trigger_manager.js
+    setupPrizeTriggers(physicsEngine, triggerVolume, finalPrizeHelper, clawTopBox, audioManager);
+    
+    // the prizes of the catalog (prize_catalog.json), every glb is loaded once
+    loadPrizeCatalog().then(catalog => {
+        prizeCatalog = catalog;
+        loadPrizeSounds(catalog, audioManager);
+        const loader = new GLTFLoader();
+        const sourceMeshes = new Map(); // glb + mesh name -> promise of the source mesh
+        return Promise.all(catalog.map(prize => {
+            const key = `${prize.glb}#${prize.meshName}`;
+            if (!sourceMeshes.has(key)) sourceMeshes.set(key, loadPrizeMesh(loader, prize));
+            return sourceMeshes.get(key);
+        })).then(meshes => spawnPrizes(catalog, meshes));
+    });
 }
 
-
-resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene);
-const result = tryInitializeClawController(clawLoaded, clawTopBox, joystickPivot, buttonMesh, clawController, allClawCylinders, clawGroup, cylinders, clawBones, scene, physicsEngine, grabbableObjects, chuteMesh, candyMachine);
-if (result) {
-    clawController = result.clawController;
-    objectsInteraction = result.objectsInteraction;
+// the first mesh of the glb whose name contains the mesh name of the prize, ready for the BVH collisions
+function loadPrizeMesh(loader, prize) {
+    return loader.loadAsync(prize.glb).then(gltf => {
+        let sourceMesh = null;
+        gltf.scene.traverse(node => {
+            if (!sourceMesh && node.isMesh && node.name.toLowerCase().includes(prize.meshName.toLowerCase())) sourceMesh = node;
+        });
+        if (!sourceMesh) throw new Error(`no mesh "${prize.meshName}" in ${prize.glb}`);
+
+        //we prepare meshbvh
+        sourceMesh.geometry.computeVertexNormals();
+        sourceMesh.geometry.computeBoundingBox();
+        sourceMesh.geometry.boundsTree = new MeshBVH(sourceMesh.geometry);
+        return sourceMesh;
+    }).catch(error => {
+        console.warn('Prize catalog: could not load the model of', prize.id, error);
+        return null; // the other prizes are spawned anyway
+    });
 }
-}, undefined, err => {});
 
-    
+// spawnCount copies of every prize type, each with its own material and body
+function spawnPrizes(catalog, sourceMeshes) {
+    catalog.forEach((prize, typeIndex) => {
+        const sourceMesh = sourceMeshes[typeIndex];
+        if (!sourceMesh) return;
+        for (let i = 0; i < prize.spawnCount; i++) {
+            const mesh = sourceMesh.clone();
+
+            // give each prize its own material instance ---
+            mesh.material = sourceMesh.material.clone();
+            if (prize.color) mesh.material.color.set(prize.color);
+
+            mesh.name = `${prize.name}_${i}`;
+            mesh.scale.setScalar(prize.scale);
+            scene.add(mesh);
+
+            // rigid-body
+            const body = new RigidBody(mesh, prize.mass);
+            body.friction = prize.friction;
+            body.prizeType = prize;
+            physicsEngine.addBody(body);
+
+            // register the body and mesh in the grabbableObjects array, with the type of prize
+            grabbableObjects.push({ body, name: mesh.name, prize });
+            objectsInteraction?.addGrabbableObject(body, mesh.name, prize);
+        }
+    });
 
+    // the types are mixed in the pit (seeded, like the rest of the spawn)
+    const random = getRandom();
+    for (let i = grabbableObjects.length - 1; i > 0; i--) {
+        const j = random.int(i + 1);
+        [grabbableObjects[i], grabbableObjects[j]] = [grabbableObjects[j], grabbableObjects[i]];
+    }
+
+    resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene);
+    const result = tryInitializeClawController(clawLoaded, clawTopBox, joystickPivot, buttonMesh, clawController, allClawCylinders, clawGroup, cylinders, clawBones, scene, physicsEngine, grabbableObjects, chuteMesh, candyMachine);
+    if (result) {
+        clawController = result.clawController;
+        objectsInteraction = result.objectsInteraction;
+    }
 }
 
 function positionClaw() {
@@ -517,9 +617,12 @@ function onWindowResize() {
   }
 }
 
+// real time clock driving the whole loop, the physics engine turns it into fixed steps
+const clock = new THREE.Clock();
+
 function animate() {
     requestAnimationFrame(animate);
-    const deltaTime = 1/60;
+    const deltaTime = clock.getDelta();
 
 
     if (homepageManager && homepageManager.isActive) {
@@ -549,15 +652,6 @@ function animate() {
           updateDiscoLights(deltaTime);
       }
 
-      if (popcornManager) {
-          popcornManager.update(deltaTime);
-      }
-      
-
-      updateCeilingPopcorn(deltaTime);
-      
-
-
       // different game modes 
       switch(gameMode) {
           case 'exploration':
@@ -567,10 +661,6 @@ function animate() {
               break;
               
           case 'claw_machine':
-              // Update claw controller when in claw machine mode
-              clawController?.update(deltaTime);
-              objectsInteraction?.update();
-
               //function to change the camera view from normal to claw
               if (camera.userData.followClaw && clawGroup) {
                   const clawPosition = clawGroup.position.clone();
@@ -584,22 +674,9 @@ function animate() {
               }
               
               // check game over for claw machine
-              if (coins <= 0 && clawController && !clawController.isAnimating && !isGameOver) {
+              if (coins <= 0 && clawController && !clawController.hasActivePlay() && !isGameOver) {
                   isGameOver = true;
               }
-              
-              // Check claw-specific triggers
-              if (triggerVolume) {
-                  checkChuteTrigger(triggerVolume, grabbableObjects);
-              }
-              if (finalPrizeHelper) {
-                  checkFinalPrizeTrigger(finalPrizeHelper, grabbableObjects, clawTopBox, audioManager);
-              }
-              break;
-              
-          case 'candy_machine':
-              // Update candy machine when in candy machine mode
-              candyMachine?.update(deltaTime);
               break;
       }
       
@@ -609,10 +686,19 @@ function animate() {
       updateExplosions(deltaTime, scene);
       
 
-      physicsEngine?.update(deltaTime);
+      getAttractMode()?.update(deltaTime, canStartAttractMode());
+
+      // everything that moves physics bodies runs inside the fixed steps, see updateSimulation
+      // (a replay can run faster or slower than real time)
+      // while scrubbing the replay fast forwards a batch of steps per frame instead
+      const timeScale = inputReplayer?.isPlaying ? inputReplayer.speed : 1;
+      if (inputReplayer?.isSeeking) inputReplayer.updateSeek();
+      else physicsEngine?.step(deltaTime * timeScale, updateSimulation);
+      physicsDebugRenderer?.update(objectsInteraction);
       
 
       updateGameUI();
+      updateReplayUI();
       
 
       if (controls.enabled) {
@@ -623,6 +709,189 @@ function animate() {
   renderer.render(scene, camera);
 }
 
+// called by the physics engine before every fixed step, so the claw, the candy machine and the popcorn
+// advance with the same clock as the bodies they push around
+function updateSimulation(fixedDeltaTime) {
+    // recorded inputs are applied (and new ones stamped) on the step they belong to
+    inputReplayer?.onFixedStep();
+    inputRecorder?.onFixedStep();
+
+    if (popcornManager) {
+        popcornManager.update(fixedDeltaTime);
+    }
+
+    updateCeilingPopcorn(fixedDeltaTime);
+
+    // a replay (or the attract mode demo) drives the claw even if the player is not standing at the machine
+    const simulationMode = inputReplayer?.isPlaying || attractMode?.isActive ? 'claw_machine' : gameMode;
+    switch(simulationMode) {
+        case 'claw_machine':
+            attractMode?.updateSimulation(fixedDeltaTime);
+            // Update claw controller when in claw machine mode
+            clawController?.update(fixedDeltaTime);
+            objectsInteraction?.update();
+            // the chute triggers are sensors of the physics engine (see setupPrizeTriggers)
+            break;
+
+        case 'candy_machine':
+            // Update candy machine when in candy machine mode
+            candyMachine?.update(fixedDeltaTime);
+            break;
+    }
+}
+
+
+
+// ATTRACT MODE
+function getAttractMode() {
+    if (!attractMode && clawController && clawTopBox) {
+        attractMode = new AttractMode(clawController, lightReferences?.clawSpotlight, clawTopBox, {
+            onStop: () => resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene)
+        });
+    }
+    return attractMode;
+}
+
+// the demo waits for an idle room: nobody at the claw machine, no play, replay or recording running
+function canStartAttractMode() {
+    return gameMode === 'exploration'
+        && currentZone?.machineType !== 'claw_machine'
+        && !clawController.hasActivePlay()
+        && !inputReplayer?.isPlaying
+        && !inputRecorder?.isRecording;
+}
+
+// INPUT RECORDING AND REPLAY
+function getReplaySystem() {
+    // replays run the fixed steps synchronously (scrubbing), not possible when the physics is in a worker
+    if (physicsEngine?.runsInWorker) return null;
+    if (!inputRecorder && clawController && physicsEngine) {
+        inputRecorder = new InputRecorder(physicsEngine, clawController, physicsEngine.random);
+        inputReplayer = new InputReplayer({
+            physicsEngine,
+            clawController,
+            random: physicsEngine.random,
+            applyInput: (input) => applyClawInput(input, clawController, {
+                updateCoinsDisplay: (newCoins) => { coins = newCoins; }
+            }),
+            onRestart: (recording) => {
+                // the snapshot restores the bodies, the prizes won later in the old run still have to come back
+                restorePrizeMeshes(grabbableObjects, scene);
+                coins = recording.coins;
+                isGameOver = false;
+            },
+            simulateStep: updateSimulation,
+            onFinished: () => {
+                replayScrubTarget = null;
+                updateReplayUI(); // hides the playback controls right away, also while the game is paused
+            }
+        });
+    }
+    return inputRecorder ? { recorder: inputRecorder, replayer: inputReplayer } : null;
+}
+
+// starts recording, or stops it and downloads the .json file
+window.toggleRecording = function() {
+    const system = getReplaySystem();
+    if (!system || system.replayer.isPlaying) return;
+
+    if (system.recorder.isRecording) {
+        downloadRecording(system.recorder.stop());
+    } else if (!clawController.isAnimating || attractMode?.isActive) {
+        // recordings start with the claw idle, a drop in progress can not be restored from the snapshot.
+        // the demo moves the claw without inputs, it is stopped (and the pit restored) before the snapshot
+        attractMode?.stop();
+        system.recorder.start(coins);
+    }
+};
+
+window.loadReplayFile = async function(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = ''; // the same file can be picked again
+    const system = getReplaySystem();
+    if (!file || !system) return;
+
+    try {
+        const recording = await readRecordingFile(file);
+        if (system.recorder.isRecording) system.recorder.stop();
+        attractMode?.stop(); // it would steer the claw during the replay and hide its wins (isDemoPlay)
+        system.replayer.play(recording);
+    } catch (error) {
+        console.error('Could not load the replay:', error);
+    }
+};
+
+window.setReplaySpeed = (speed) => inputReplayer?.setSpeed(parseFloat(speed));
+
+window.previewReplayScrub = (time) => { replayScrubTarget = parseFloat(time); };
+
+window.scrubReplay = function(time) {
+    replayScrubTarget = null;
+    inputReplayer?.seek(parseFloat(time));
+};
+
+window.stopReplay = () => inputReplayer?.stop();
+
+window.togglePhysicsDebug = () => physicsDebugRenderer?.toggle();
+
+// OPERATOR MENU (grip strength and payout rate, see operator_profile.js)
+window.toggleOperatorMenu = function() {
+    const menu = document.getElementById('operatorMenu');
+    if (!menu) return;
+    menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+    updateOperatorMenu();
+};
+
+window.setOperatorSetting = function(input) {
+    if (!clawController) return;
+    clawController.operatorProfile.set(input.dataset.operator, input.type === 'checkbox' ? input.checked : input.value);
+    updateOperatorMenu();
+};
+
+window.resetOperatorProfile = function() {
+    clawController?.operatorProfile.resetToDefaults();
+    updateOperatorMenu();
+};
+
+// the inputs show the saved values (clamped ones included)
+function updateOperatorMenu() {
+    const profile = clawController?.operatorProfile;
+    if (!profile) return;
+    document.querySelectorAll('#operatorMenu [data-operator]').forEach(input => {
+        const value = profile.settings[input.dataset.operator];
+        if (input.type === 'checkbox') input.checked = value;
+        else input.value = value;
+    });
+    document.getElementById('operatorDropDistance').textContent = profile.settings.dropDistance.toFixed(1);
+    // top of the pile found by the last descent (see ClawController.probeSurface)
+    const surfaceHeight = clawController.getSurfaceHeight();
+    const surfaceObject = clawController.surfaceObject;
+    document.getElementById('operatorSurface').textContent = surfaceHeight === null
+        ? 'No descent yet'
+        : `Last landing surface: ${surfaceHeight.toFixed(2)} (${surfaceObject ? surfaceObject.name : 'floor'})`;
+    const playsLeft = profile.settings.playsPerStrongGrab - profile.playsSinceStrongGrab;
+    document.getElementById('operatorPlayCounter').textContent = `Next strong grab in ${playsLeft} play${playsLeft === 1 ? '' : 's'}`;
+}
+
+function updateReplayUI() {
+    const recordBtn = document.getElementById('recordBtn');
+    if (recordBtn) {
+        recordBtn.textContent = inputRecorder?.isRecording ? '⏹ Stop recording' : '⏺ Record';
+    }
+
+    const playback = document.getElementById('replayPlayback');
+    if (!playback) return;
+    const isPlaying = !!inputReplayer?.isPlaying;
+    playback.style.display = isPlaying ? 'block' : 'none';
+    if (!isPlaying) return;
+
+    const scrub = document.getElementById('replayScrub');
+    const time = replayScrubTarget ?? inputReplayer.currentTime;
+    scrub.max = inputReplayer.duration;
+    if (replayScrubTarget === null) scrub.value = time;
+    document.getElementById('replayTime').textContent = `${time.toFixed(1)} / ${inputReplayer.duration.toFixed(1)} s`;
+}
+
 
 
 // 
@@ -647,10 +916,12 @@ window.applyLightPreset = function(presetName) {
 
 
 function handleKeyDown(e) {
+    attractMode?.notifyInput();
     const callbacks = {
         togglePauseMenu,
         toggleClawCameraMode: toggleClawCameraModeWrapper,
         exitMachineMode: exitMachineModeWrapper,
+        togglePhysicsDebug: window.togglePhysicsDebug,
         updateCoinsDisplay: (newCoins) => { coins = newCoins; }
     };
     
@@ -661,7 +932,9 @@ function handleKeyDown(e) {
         playerInputHandler,
         candyMachine,
         coins,
-        isGameOver
+        isGameOver,
+        inputRecorder,
+        isReplaying: !!inputReplayer?.isPlaying
     });
     
     eventHandleKeyDown(e, callbacks);
@@ -675,7 +948,9 @@ function handleKeyUp(e) {
         playerInputHandler,
         candyMachine,
         coins,
-        isGameOver
+        isGameOver,
+        inputRecorder,
+        isReplaying: !!inputReplayer?.isPlaying
     });
     
     eventHandleKeyUp(e);
@@ -690,11 +965,7 @@ function togglePauseMenu() {
     isGamePaused = !isGamePaused;
     const pauseMenu = document.getElementById('pauseMenu');
     pauseMenu.style.display = isGamePaused ? 'flex' : 'none';
-
-    if (!isGamePaused) {
-
-        animate();
-    }
+    // the animation loop keeps running while paused, calling animate() again here would start a second loop
 }
 
 
@@ -0,0 +1,119 @@
+/*
+operator settings of the claw machine, like the dip switches inside a real one:
+- strongGripForce / weakGripForce: squeeze of each finger in N (see claw_grip.js). the claw always picks up with
+  the strong grip, on a weak play it switches to the weak one at the drop moments and the prize usually slips out
+- playsPerStrongGrab: one play every N keeps the strong grip all the way to the chute (1 = every play)
+- dropAtTopOfAscent / dropMidDelivery: the drop moments, where a weak play goes weak (none enabled = no weak plays)
+- manualDelivery: after a grab the player steers the prize over the chute and presses the button to release it
+  (dropped anywhere else it falls back in the pit), instead of the claw carrying it there by itself
+- dropDistance: the deepest the claw goes down from its travel height, it stops earlier when it lands on the pile
+saved in localStorage together with the play counter, so the payout rate survives a reload
+*/
+export const OPERATOR_DEFAULTS = {
+    strongGripForce: 30,
+    weakGripForce: 8,
+    playsPerStrongGrab: 4,
+    dropAtTopOfAscent: true,
+    dropMidDelivery: true,
+    manualDelivery: false,
+    dropDistance: 1.5
+};
+
+// limits of the numeric settings, also used by the operator menu
+export const OPERATOR_LIMITS = {
+    strongGripForce: { min: 1, max: 100 },
+    weakGripForce: { min: 0, max: 100 },
+    playsPerStrongGrab: { min: 1, max: 50 },
+    dropDistance: { min: 0.2, max: 3 }
+};
+
+const STORAGE_KEY = 'clawMachine.operatorProfile';
+
+export class OperatorProfile {
+    constructor(storage = getLocalStorage()) {
+        this.storage = storage;
+        this.settings = { ...OPERATOR_DEFAULTS };
+        this.playsSinceStrongGrab = 0;
+        this.isPersistent = true; // false while a replay uses its recorded profile
+        this.load();
+    }
+
+    // unknown keys and broken values in the saved profile are ignored
+    load() {
+        this.isPersistent = true;
+        this.settings = { ...OPERATOR_DEFAULTS };
+        this.playsSinceStrongGrab = 0;
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (saved) this.apply(saved);
+        } catch (error) {
+            console.warn('Operator profile: could not read the saved settings', error);
+        }
+    }
+
+    save() {
+        if (!this.storage || !this.isPersistent) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.serialize()));
+        } catch (error) {
+            console.warn('Operator profile: could not save the settings', error);
+        }
+    }
+
+    serialize() {
+        return { settings: { ...this.settings }, playsSinceStrongGrab: this.playsSinceStrongGrab };
+    }
+
+    // replays run with the profile they were recorded with, the saved one is left alone until load()
+    restore(state) {
+        this.isPersistent = false;
+        this.settings = { ...OPERATOR_DEFAULTS };
+        this.apply(state);
+    }
+
+    apply(state) {
+        Object.keys(OPERATOR_DEFAULTS).forEach(key => {
+            if (state.settings && key in state.settings) this.set(key, state.settings[key], false);
+        });
+        if (Number.isInteger(state.playsSinceStrongGrab)) this.playsSinceStrongGrab = Math.max(state.playsSinceStrongGrab, 0);
+    }
+
+    // values are coerced to the type of the default and clamped, so the menu can pass the raw input values
+    set(key, value, save = true) {
+        if (!(key in OPERATOR_DEFAULTS)) return;
+        if (typeof OPERATOR_DEFAULTS[key] === 'boolean') {
+            this.settings[key] = value === true || value === 'true';
+        } else {
+            const number = parseFloat(value);
+            if (!Number.isFinite(number)) return;
+            const { min, max } = OPERATOR_LIMITS[key];
+            this.settings[key] = Math.min(Math.max(key === 'playsPerStrongGrab' ? Math.round(number) : number, min), max);
+        }
+        if (save) this.save();
+    }
+
+    resetToDefaults() {
+        this.settings = { ...OPERATOR_DEFAULTS };
+        this.playsSinceStrongGrab = 0;
+        this.save();
+    }
+
+    // counts a new play, returns true if it is one of the strong ones
+    startPlay() {
+        this.playsSinceStrongGrab++;
+        const isStrong = this.playsSinceStrongGrab >= this.settings.playsPerStrongGrab;
+        if (isStrong) this.playsSinceStrongGrab = 0;
+        this.save();
+        return isStrong;
+    }
+}
+
+// localStorage can be missing (worker, tests) or throw (privacy settings)
+function getLocalStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+
+/*
+debug overlay for the physics, toggled with G (or window.togglePhysicsDebug()).
+draws on top of everything:
+- the bounds regions (prize, candy, world, chute...) and the dispenser / chute safety zones
+- the bounding sphere of every body, colored by its state
+- the contact normals of the last frame (white body-body, orange static colliders, blue bounds walls)
+- the joints, from each body center to its anchor and between the two anchors
+- the trigger volumes (the helper meshes of the chute are shown, box triggers are outlined)
+- the BVH bounds of the claw finger cylinders
+nothing is built or updated while it is off
+*/
+
+//body state -> color, checked in this order
+const BODY_STATE_COLORS = [
+    ['isHeld', 0xffdd00],
+    ['isGripped', 0xffaa00],
+    ['isBeingDispensed', 0xff00ff],
+    ['isBeingReleased', 0x00ffff],
+    ['isBlocked', 0xff3333],
+    ['isSleeping', 0x777777]
+];
+const AWAKE_COLOR = 0x33ff33;
+
+const REGION_COLORS = { world: 0xffffff, prize: 0xffdd00, chute: 0xff8800, candy: 0xff66cc };
+const CONTACT_COLORS = { body: 0xffffff, collider: 0xff8800, bounds: 0x3399ff };
+
+const MAX_CONTACT_ARROWS = 64;
+const FINGER_BVH_DEPTH = 6; //deeper nodes are too small to be readable
+const CONTACT_ARROW_LENGTH = 0.08;
+const JOINT_COLOR = 0x66ccff;
+
+export class PhysicsDebugRenderer {
+    constructor(scene, physicsEngine) {
+        this.scene = scene;
+        this.physicsEngine = physicsEngine;
+        this.enabled = false;
+
+        this.group = new THREE.Group();
+        this.group.name = 'PhysicsDebug';
+        this.group.visible = false;
+        scene.add(this.group);
+
+        this.sphereGeometry = new THREE.WireframeGeometry(new THREE.SphereGeometry(1, 12, 8));
+        this.regionHelpers = new Map(); //region name -> Box3Helper
+        this.bodySpheres = new Map(); //body -> LineSegments
+        this.safetySpheres = {
+            dispenser: this.createSphere(0xff00ff),
+            chute: this.createSphere(0xff8800)
+        };
+        this.triggerHelpers = new Map(); //box trigger -> Box3Helper
+        this.fingerHelpers = new Map(); //finger mesh -> LineSegments with its BVH nodes
+        this.jointLines = null; //LineSegments, rebuilt when the number of joints grows
+        this.contactArrows = [];
+        this.contacts = [];
+        this.unsubscribe = [];
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        this.group.visible = enabled;
+
+        //the helper meshes of the chute triggers already exist, they are just invisible
+        this.physicsEngine.triggers.forEach(trigger => {
+            if (trigger.mesh && trigger.mesh.material) trigger.mesh.material.visible = enabled;
+        });
+
+        //contacts are only recorded by the engine while somebody listens, so we listen only while visible
+        if (enabled) {
+            const collect = contact => {
+                if (this.contacts.length < MAX_CONTACT_ARROWS) this.contacts.push(contact);
+            };
+            this.unsubscribe = [this.physicsEngine.onCollisionEnter(collect), this.physicsEngine.onCollisionStay(collect)];
+        } else {
+            this.unsubscribe.forEach(unsubscribe => unsubscribe());
+            this.unsubscribe = [];
+            this.contacts.length = 0;
+        }
+    }
+
+    //called once per rendered frame, after the physics step
+    update(objectsInteraction = null) {
+        if (!this.enabled) return;
+        this.updateRegions();
+        this.updateSafetyZones();
+        this.updateBodies();
+        this.updateTriggers();
+        this.updateContacts();
+        this.updateJoints();
+        if (objectsInteraction) this.updateFingers(objectsInteraction.cylinders);
+    }
+
+    updateRegions() {
+        const regions = this.physicsEngine.boundsRegions;
+        const world = regions.world;
+        Object.keys(regions).forEach(name => {
+            let helper = this.regionHelpers.get(name);
+            if (!helper) {
+                helper = new THREE.Box3Helper(new THREE.Box3(), REGION_COLORS[name] ?? 0xaaaaaa);
+                this.setOverlayMaterial(helper.material);
+                this.regionHelpers.set(name, helper);
+                this.group.add(helper);
+            }
+            //open sides (the chute has no floor) are drawn at the world bounds
+            ['x', 'y', 'z'].forEach(axis => {
+                helper.box.min[axis] = finiteOr(regions[name].min[axis], world ? world.min[axis] : -10);
+                helper.box.max[axis] = finiteOr(regions[name].max[axis], world ? world.max[axis] : 10);
+            });
+        });
+    }
+
+    updateSafetyZones() {
+        const engine = this.physicsEngine;
+        this.placeSphere(this.safetySpheres.dispenser, engine.dispenserCenter, engine.dispenserSafetyRadius);
+        this.placeSphere(this.safetySpheres.chute, engine.chuteCenter, engine.chuteSafetyRadius);
+    }
+
+    updateBodies() {
+        const bodies = this.physicsEngine.bodies;
+        bodies.forEach(body => {
+            let sphere = this.bodySpheres.get(body);
+            if (!sphere) {
+                sphere = this.createSphere(AWAKE_COLOR);
+                this.bodySpheres.set(body, sphere);
+            }
+            //the mesh is where the body is drawn (interpolated), so the sphere follows it
+            this.placeSphere(sphere, body.mesh.position, body.boundingRadius);
+            sphere.material.color.setHex(getBodyColor(body));
+        });
+
+        //removed bodies (delivered prizes, eaten candies)
+        if (this.bodySpheres.size > bodies.length) {
+            const alive = new Set(bodies);
+            this.bodySpheres.forEach((sphere, body) => {
+                if (alive.has(body)) return;
+                this.group.remove(sphere);
+                sphere.material.dispose();
+                this.bodySpheres.delete(body);
+            });
+        }
+    }
+
+    updateTriggers() {
+        this.physicsEngine.triggers.forEach(trigger => {
+            if (trigger.mesh) return; //drawn by its own mesh
+            let helper = this.triggerHelpers.get(trigger);
+            if (!helper) {
+                helper = new THREE.Box3Helper(trigger.worldBox, 0x00ff00);
+                this.setOverlayMaterial(helper.material);
+                this.triggerHelpers.set(trigger, helper);
+                this.group.add(helper);
+            }
+        });
+    }
+
+    updateContacts() {
+        this.contactArrows.forEach(arrow => { arrow.visible = false; });
+        this.contacts.forEach((contact, i) => {
+            let arrow = this.contactArrows[i];
+            if (!arrow) {
+                arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), CONTACT_ARROW_LENGTH);
+                this.setOverlayMaterial(arrow.line.material);
+                this.setOverlayMaterial(arrow.cone.material);
+                this.contactArrows.push(arrow);
+                this.group.add(arrow);
+            }
+            const kind = contact.bodyB ? 'body' : contact.collider ? 'collider' : 'bounds';
+            arrow.position.set(contact.point.x, contact.point.y, contact.point.z);
+            arrow.setDirection(_direction.set(contact.normal.x, contact.normal.y, contact.normal.z).normalize());
+            arrow.setColor(CONTACT_COLORS[kind]);
+            arrow.visible = true;
+        });
+        this.contacts.length = 0;
+    }
+
+    //3 segments per joint: center A -> anchor A -> anchor B -> center B (the world has no center)
+    updateJoints() {
+        const joints = this.physicsEngine.joints;
+        const capacity = joints.length * 6;
+        if (!this.jointLines || this.jointLines.geometry.attributes.position.count < capacity) {
+            if (this.jointLines) {
+                this.group.remove(this.jointLines);
+                this.jointLines.geometry.dispose();
+            }
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(Math.max(capacity, 6) * 3), 3));
+            this.jointLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: JOINT_COLOR }));
+            this.setOverlayMaterial(this.jointLines.material);
+            this.jointLines.frustumCulled = false;
+            this.group.add(this.jointLines);
+        }
+
+        const positions = this.jointLines.geometry.attributes.position;
+        let vertex = 0;
+        const addSegment = (a, b) => {
+            positions.setXYZ(vertex++, a.x, a.y, a.z);
+            positions.setXYZ(vertex++, b.x, b.y, b.z);
+        };
+        joints.forEach(joint => {
+            joint.prepareAnchors();
+            addSegment(joint.bodyA.position, joint.worldAnchorA);
+            addSegment(joint.worldAnchorA, joint.worldAnchorB);
+            addSegment(joint.worldAnchorB, joint.bodyB ? joint.bodyB.position : joint.worldAnchorB);
+        });
+        positions.needsUpdate = true;
+        this.jointLines.geometry.setDrawRange(0, vertex);
+    }
+
+    //the BVH of a finger does not change (it is in the finger space), we build its lines once and move them with the finger
+    updateFingers(cylinders) {
+        cylinders.forEach(finger => {
+            if (!finger || !finger.geometry.boundsTree) return;
+            let helper = this.fingerHelpers.get(finger);
+            if (!helper) {
+                helper = createBVHLines(finger.geometry.boundsTree, FINGER_BVH_DEPTH);
+                this.setOverlayMaterial(helper.material);
+                helper.matrixAutoUpdate = false;
+                this.fingerHelpers.set(finger, helper);
+                this.group.add(helper);
+            }
+            helper.matrix.copy(finger.matrixWorld);
+        });
+    }
+
+    createSphere(color) {
+        const sphere = new THREE.LineSegments(this.sphereGeometry, new THREE.LineBasicMaterial({ color }));
+        this.setOverlayMaterial(sphere.material);
+        sphere.visible = false;
+        this.group.add(sphere);
+        return sphere;
+    }
+
+    placeSphere(sphere, center, radius) {
+        sphere.visible = !!center && radius > 0;
+        if (!sphere.visible) return;
+        sphere.position.set(center.x, center.y, center.z);
+        sphere.scale.setScalar(radius);
+    }
+
+    //drawn through the machine glass and the other meshes
+    setOverlayMaterial(material) {
+        material.depthTest = false;
+        material.transparent = true;
+        material.opacity = 0.8;
+    }
+}
+
+function getBodyColor(body) {
+    const state = BODY_STATE_COLORS.find(([flag]) => body[flag]);
+    return state ? state[1] : AWAKE_COLOR;
+}
+
+function finiteOr(value, fallback) {
+    return Number.isFinite(value) ? value : fallback;
+}
+
+//box edges of the BVH nodes down to maxDepth, in the space of the geometry
+function createBVHLines(bvh, maxDepth) {
+    const positions = [];
+    const box = new THREE.Box3();
+    const corners = Array.from({ length: 8 }, () => new THREE.Vector3());
+    bvh.traverse((depth, isLeaf, boundingData) => {
+        box.min.set(boundingData[0], boundingData[1], boundingData[2]);
+        box.max.set(boundingData[3], boundingData[4], boundingData[5]);
+        getBoxCorners(box, corners);
+        BOX_EDGES.forEach(([a, b]) => {
+            positions.push(corners[a].x, corners[a].y, corners[a].z, corners[b].x, corners[b].y, corners[b].z);
+        });
+        return depth >= maxDepth; //true stops the traversal below this node
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0x00ffaa }));
+}
+
+//corner i has the max x if bit 0 is set, max y for bit 1, max z for bit 2
+function getBoxCorners(box, corners) {
+    corners.forEach((corner, i) => {
+        corner.set(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        );
+    });
+}
+
+const BOX_EDGES = [
+    [0, 1], [2, 3], [4, 5], [6, 7], //along x
+    [0, 2], [1, 3], [4, 6], [5, 7], //along y
+    [0, 4], [1, 5], [2, 6], [3, 7] //along z
+];
+
+const _direction = new THREE.Vector3();
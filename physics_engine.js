@@ -1,14 +1,39 @@
-import * as THREE from 'three';
+// also loaded by the physics worker, see physics_engine_three.js
+import THREE from './physics_engine_three.js';
 import { Vec3 } from './physics_engine_vec3.js';
+import { createBroadPhase } from './physics_engine_broadphase.js';
+import { getRandom } from './seeded_random.js';
+
+/*
+collision filter: every body lives on one or more layers (collisionLayer) and only collides with the layers
+in its collisionMask. two bodies collide only if each one accepts the layer of the other.
+CLAW and STATIC are not bodies: a body whose mask does not contain them ignores the claw fingers / the static colliders.
+new kinds of objects just need a new bit here, the engine does not check what they are
+*/
+export const CollisionLayers = {
+    NONE: 0,
+    PRIZE: 1 << 0,
+    CANDY: 1 << 1,
+    CLAW: 1 << 2,
+    STATIC: 1 << 3,
+    ALL: -1
+};
+
+let nextBodyId = 0;
 
 export class RigidBody {
     constructor(mesh, mass) {
+        this.id = nextBodyId++; //stable id, used to key contacts between steps
         this.mesh = mesh;
         this.mass = mass;
         this.inverseMass = mass > 0 ? 1 / mass : 0;
         this.position = new Vec3().copy(mesh.position);
         this.linearVelocity = new Vec3();
         this.orientation = new THREE.Quaternion().copy(mesh.quaternion);
+        //state at the beginning of the last fixed step, used to interpolate the mesh between two steps
+        this.previousPosition = new Vec3().copy(this.position);
+        this.previousOrientation = new THREE.Quaternion().copy(this.orientation);
+        this.worldMatrix = new THREE.Matrix4();
         this.angularVelocity = new Vec3();
         this.force = new Vec3();
         this.torque = new Vec3();
@@ -16,6 +41,7 @@ export class RigidBody {
         this.friction = 0.5;
         this.collisionEnabled = true;
         this.isHeld = false; // flag to indicate if the object is being held by the claw
+        this.isGripped = false; // squeezed by the claw fingers, still simulated (see claw_grip.js)
         this.justReleased = false; // flag to indicate if the object was just released
         this.canFallThrough = false;
         this.isSleeping = false;
@@ -28,8 +54,188 @@ this.isBlocked = false;
 // raggio bounding-sphere per il broad-phase
 const bb = new THREE.Box3().setFromObject(mesh);
 this.boundingRadius = bb.getSize(new THREE.Vector3()).length() * 0.5;
+        //sphere swept by the continuous collision detection: the inner sphere of the (scaled) bounding box,
+        //but not smaller than a quarter of the bounding radius or flat stars would need too many sub-steps
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        const localSize = mesh.geometry.boundingBox.getSize(new THREE.Vector3()).multiply(mesh.scale);
+        this.ccdRadius = Math.max(Math.min(localSize.x, localSize.y, localSize.z) * 0.5, this.boundingRadius * 0.25);
+        this.localSamplePoints = null; // scaled local vertices used as contact probes, built lazily
+
+        //collision filter (see CollisionLayers). boundsRegion is the name of the bounds that keep the body inside,
+        //null means no bounds. overrides are temporary states (released, falling in the chute...) layered on top
+        this.baseCollisionFilter = { layer: CollisionLayers.PRIZE, mask: CollisionLayers.ALL, boundsRegion: 'prize' };
+        this.collisionOverrides = new Map();
+        this.filterRevision = 0; //bumped on every filter change, so a copy of the body (physics worker) knows when to update
+        this.refreshCollisionFilter();
+
+        //inertia tensor, in body space (constant) and in world space (follows the orientation)
+        this.localInverseInertia = new THREE.Matrix3();
+        this.inverseInertiaWorld = new THREE.Matrix3();
+        this.computeLocalInertia();
+        this.updateInertiaWorld();
+    }
+
+    /*
+    inertia tensor of a solid box with the size of the (scaled) bounding box of the mesh:
+    I = m/12 * diag(y² + z², x² + z², x² + y²)
+    it is diagonal in body space, so the inverse is just 1/I on each axis.
+    a flat star gets a much smaller inertia around its short axis than around the other two,
+    so it spins easily on the table and resists being flipped over
+    */
+    computeLocalInertia() {
+        if (this.mass <= 0) {
+            this.localInverseInertia.set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            return;
+        }
+        if (!this.mesh.geometry.boundingBox) this.mesh.geometry.computeBoundingBox();
+        const size = this.mesh.geometry.boundingBox.getSize(new THREE.Vector3()).multiply(this.mesh.scale);
+        const x2 = size.x * size.x, y2 = size.y * size.y, z2 = size.z * size.z;
+        const k = this.mass / 12;
+        //very thin axes are clamped so the inverse does not blow up
+        const minInertia = 1e-6;
+        this.localInverseInertia.set(
+            1 / Math.max(k * (y2 + z2), minInertia), 0, 0,
+            0, 1 / Math.max(k * (x2 + z2), minInertia), 0,
+            0, 0, 1 / Math.max(k * (x2 + y2), minInertia)
+        );
+    }
+
+    //world inverse inertia = R * I⁻¹ * Rᵀ, to be refreshed every time the orientation changes
+    updateInertiaWorld() {
+        _rotationMatrix.setFromMatrix4(_rotationMatrix4.makeRotationFromQuaternion(this.orientation));
+        this.inverseInertiaWorld.copy(_rotationMatrix)
+            .multiply(this.localInverseInertia)
+            .multiply(_rotationMatrix.transpose());
+    }
+
+    //angular velocity change produced by an angular impulse (or angular acceleration from a torque)
+    applyInverseInertia(v) {
+        const e = this.inverseInertiaWorld.elements; //column major
+        return new Vec3(
+            e[0] * v.x + e[3] * v.y + e[6] * v.z,
+            e[1] * v.x + e[4] * v.y + e[7] * v.z,
+            e[2] * v.x + e[5] * v.y + e[8] * v.z
+        );
+    }
+
+    setCollisionFilter({ layer = this.baseCollisionFilter.layer, mask = this.baseCollisionFilter.mask, boundsRegion = this.baseCollisionFilter.boundsRegion } = {}) {
+        this.baseCollisionFilter = { layer, mask, boundsRegion };
+        this.refreshCollisionFilter();
+    }
+
+    //a named override can only remove layers from the mask, and replaces the bounds region if it defines one
+    addCollisionOverride(name, { mask = CollisionLayers.ALL, boundsRegion } = {}) {
+        this.collisionOverrides.delete(name); //re-adding moves it on top
+        this.collisionOverrides.set(name, { mask, boundsRegion });
+        this.refreshCollisionFilter();
+    }
+
+    removeCollisionOverride(name) {
+        if (this.collisionOverrides.delete(name)) this.refreshCollisionFilter();
+    }
+
+    clearCollisionOverrides() {
+        this.collisionOverrides.clear();
+        this.refreshCollisionFilter();
+    }
+
+    hasCollisionOverride(name) {
+        return this.collisionOverrides.has(name);
+    }
+
+    //effective filter, read directly by the engine every step
+    refreshCollisionFilter() {
+        this.filterRevision++;
+        this.collisionLayer = this.baseCollisionFilter.layer;
+        this.collisionMask = this.baseCollisionFilter.mask;
+        this.boundsRegion = this.baseCollisionFilter.boundsRegion;
+        this.collisionOverrides.forEach(override => {
+            this.collisionMask &= override.mask;
+            if (override.boundsRegion !== undefined) this.boundsRegion = override.boundsRegion;
+        });
+    }
+
+    collidesWithLayer(layer) {
+        return (this.collisionMask & layer) !== 0;
+    }
+
+    canCollideWith(other) {
+        return this.collidesWithLayer(other.collisionLayer) && other.collidesWithLayer(this.collisionLayer);
+    }
+
+    //plain JSON state of the body, everything needed to put it back exactly where it was
+    serialize() {
+        return {
+            name: this.mesh.name,
+            mass: this.mass,
+            inverseMass: this.inverseMass, //not always 1/mass: kinematic candies have 0 while being dispensed
+            friction: this.friction,
+            restitution: this.restitution,
+            position: vectorToArray(this.position),
+            orientation: [this.orientation.x, this.orientation.y, this.orientation.z, this.orientation.w],
+            linearVelocity: vectorToArray(this.linearVelocity),
+            angularVelocity: vectorToArray(this.angularVelocity),
+            isSleeping: this.isSleeping,
+            sleepyTimer: this.sleepyTimer,
+            flags: SERIALIZED_FLAGS.reduce((flags, flag) => {
+                flags[flag] = !!this[flag];
+                return flags;
+            }, {}),
+            releaseStartTime: this.releaseStartTime ?? null, //simulation time in ms, restored together with it
+            collisionFilter: { ...this.baseCollisionFilter },
+            collisionOverrides: Array.from(this.collisionOverrides, ([name, override]) => [name, { ...override }])
+        };
+    }
 
+    deserialize(state) {
+        this.mass = state.mass;
+        this.inverseMass = state.inverseMass;
+        this.friction = state.friction;
+        this.restitution = state.restitution;
+        this.position.copy(arrayToVector(state.position));
+        this.orientation.fromArray(state.orientation);
+        this.linearVelocity.copy(arrayToVector(state.linearVelocity));
+        this.angularVelocity.copy(arrayToVector(state.angularVelocity));
+        this.isSleeping = state.isSleeping;
+        this.sleepyTimer = state.sleepyTimer;
+        SERIALIZED_FLAGS.forEach(flag => {
+            if (flag in state.flags) this[flag] = state.flags[flag];
+        });
+        this.releaseStartTime = state.releaseStartTime;
+        this.force.set(0, 0, 0);
+        this.torque.set(0, 0, 0);
+
+        this.baseCollisionFilter = { ...state.collisionFilter };
+        this.collisionOverrides = new Map(state.collisionOverrides);
+        this.refreshCollisionFilter();
+
+        this.computeLocalInertia();
+        this.updateInertiaWorld();
+        //no interpolation from the old state, the mesh jumps to the restored one
+        this.storePreviousState();
+        this.syncMesh(1);
+    }
 
+    //returns a subset of the mesh vertices (already scaled, in body space) used as contact probes
+    getLocalSamplePoints(maxSamples = 64) {
+        if (!this.localSamplePoints) this.localSamplePoints = new Map();
+        if (this.localSamplePoints.has(maxSamples)) return this.localSamplePoints.get(maxSamples);
+
+        const vertices = this.mesh.geometry.attributes.position.array;
+        const vertexCount = vertices.length / 3;
+        const stride = Math.max(1, Math.floor(vertexCount / maxSamples));
+        const scale = this.mesh.scale;
+
+        const samples = [];
+        for (let i = 0; i < vertexCount; i += stride) {
+            samples.push(new Vec3(
+                vertices[i * 3] * scale.x,
+                vertices[i * 3 + 1] * scale.y,
+                vertices[i * 3 + 2] * scale.z
+            ));
+        }
+        this.localSamplePoints.set(maxSamples, samples);
+        return samples;
     }
 
     //wake up condition for objects that are sleeping
@@ -39,7 +245,45 @@ this.boundingRadius = bb.getSize(new THREE.Vector3()).length() * 0.5;
         this.sleepyTimer = 0;
         this.linearVelocity.add(impulse.clone().multiplyScalar(this.inverseMass));
         const relativePos = new Vec3().copy(point).sub(this.position);
-        this.angularVelocity.add(relativePos.cross(impulse).multiplyScalar(this.inverseMass));
+        this.angularVelocity.add(this.applyInverseInertia(relativePos.cross(impulse)));
+    }
+
+    //a body is simulated when the physics step is the one moving it
+    isSimulated() {
+        return !(this.inverseMass === 0 || this.isSleeping || this.isBlocked || this.isBeingDispensed || this.isHeld);
+    }
+
+    storePreviousState() {
+        this.previousPosition.copy(this.position);
+        this.previousOrientation.copy(this.orientation);
+    }
+
+    //world matrix built from the physics state (not from the mesh, which is interpolated for rendering)
+    getWorldMatrix() {
+        return this.worldMatrix.compose(this.position, this.orientation, this.mesh.scale);
+    }
+
+    //copy the physics state to the mesh. simulated bodies are interpolated between the previous and the current step
+    //so that the motion looks smooth at any refresh rate, everything else (held, blocked, dispensed...) is moved
+    //directly by gameplay code so we just copy it
+    syncMesh(alpha = 1) {
+        if (this.isSimulated()) {
+            this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+            this.mesh.quaternion.slerpQuaternions(this.previousOrientation, this.orientation, alpha);
+        } else {
+            this.mesh.position.copy(this.position);
+            this.mesh.quaternion.copy(this.orientation);
+        }
+    }
+
+    //velocity part of update(). the joint solver runs it earlier, so the joints already see gravity
+    //(the forces are cleared, update() then only moves the body)
+    integrateForces(deltaTime) {
+        if (!this.isSimulated()) return;
+        this.linearVelocity.add(new Vec3().copy(this.force).multiplyScalar(this.inverseMass * deltaTime));
+        this.angularVelocity.add(this.applyInverseInertia(this.torque).multiplyScalar(deltaTime));
+        this.force.set(0, 0, 0);
+        this.torque.set(0, 0, 0);
     }
 
     update(deltaTime) {
@@ -57,10 +301,8 @@ this.boundingRadius = bb.getSize(new THREE.Vector3()).length() * 0.5;
         */
 
 
-        if ( !(this.inverseMass === 0 || this.isSleeping || this.isBlocked || this.isBeingDispensed || this.isHeld) ) {
-            const linearAcceleration = new Vec3().copy(this.force).multiplyScalar(this.inverseMass);
-            this.linearVelocity.add(linearAcceleration.multiplyScalar(deltaTime));
-            this.angularVelocity.add(this.torque.multiplyScalar(deltaTime));
+        if (this.isSimulated()) {
+            this.integrateForces(deltaTime);
             
             this.position.add(new Vec3().copy(this.linearVelocity).multiplyScalar(deltaTime));
             const w = this.angularVelocity;
@@ -72,7 +314,6 @@ this.boundingRadius = bb.getSize(new THREE.Vector3()).length() * 0.5;
             //damping factors in order to slow objects down - increased for gentler interactions
             this.linearVelocity.multiplyScalar(0.92); // Increased damping from 0.95
             this.angularVelocity.multiplyScalar(0.90); // Increased damping from 0.93 
-            this.force.set(0,0,0); this.torque.set(0,0,0);
 
 
             //sleep logic if objects get below a certain threshold after some frames
@@ -95,16 +336,58 @@ this.boundingRadius = bb.getSize(new THREE.Vector3()).length() * 0.5;
                 this.sleepyTimer = 0;
             }
         }
-        
-        this.mesh.position.copy(this.position);
-        this.mesh.quaternion.copy(this.orientation);
+    }
+}
+
+/*
+sensor volume: it does not push anything, it only reports the bodies entering and leaving it.
+the shape is the world AABB of a mesh (recomputed every step, so it follows the machine) or a fixed Box3.
+only bodies on a layer of mask are reported
+*/
+export class TriggerVolume {
+    constructor(meshOrBox, { mask = CollisionLayers.ALL, name = meshOrBox.name || 'trigger' } = {}) {
+        this.mesh = meshOrBox.isBox3 ? null : meshOrBox;
+        this.worldBox = meshOrBox.isBox3 ? meshOrBox.clone() : new THREE.Box3();
+        this.mask = mask;
+        this.name = name;
+        this.bodiesInside = new Set();
+        this.enterListeners = [];
+        this.exitListeners = [];
+    }
+
+    onTriggerEnter(callback) {
+        return addListener(this.enterListeners, callback);
+    }
+
+    onTriggerExit(callback) {
+        return addListener(this.exitListeners, callback);
+    }
+
+    contains(body) {
+        return this.bodiesInside.has(body);
+    }
+
+    updateWorldBox() {
+        if (this.mesh) this.worldBox.setFromObject(this.mesh);
+        return this.worldBox;
     }
 }
 
 //class where we basically define every object in the scene and where we set up the physics basically
 
 export class PhysicsEngine {
-    constructor() {
+    constructor({ fixedTimeStep = 1 / 60, maxSubSteps = 5, maxFrameTime = 0.25, broadPhase = 'sweepAndPrune', broadPhaseOptions = {}, random = getRandom(), ccd = true, ccdThreshold = 0.5, ccdMaxIterations = 3, jointIterations = 10, jointWarmStarting = true } = {}) {
+        //fixed step clock: real frame time is accumulated and consumed in steps of fixedTimeStep,
+        //so the simulation runs at the same speed on 30, 60 or 144 Hz displays
+        this.fixedTimeStep = fixedTimeStep;
+        this.maxSubSteps = maxSubSteps; //spiral-of-death cap, at most this many steps per rendered frame
+        this.maxFrameTime = maxFrameTime; //long frames (tab in background, breakpoints) are clamped to this
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;
+        this.simulationTime = 0;
+        //seeded generator (see seeded_random.js) shared with the gameplay code that owns the engine
+        this.random = random;
+
         this.bodies = []; //stars candies and everything else
         this.staticColliders = []; //we are initializing both static objects and dynamic objects. static objects use BVH for collision detection
         this.gravity = new Vec3(0, -9.81, 0);
@@ -117,10 +400,175 @@ export class PhysicsEngine {
         this.chuteCenter = null;
         this.chuteSafetyRadius = 0;
         this.chuteSafetyRadiusSq = 0;
+        this.boundsRegions = {}; //named bounds used by RigidBody.boundsRegion
+
+        //broad phase ('sweepAndPrune' or 'spatialHash'), chosen once here
+        this.broadPhase = createBroadPhase(broadPhase, broadPhaseOptions);
+        this.canCollide = body => this.isBroadPhaseCandidate(body);
+        this.canCollidePair = (A, B) => A.canCollideWith(B) && (A.inverseMass + B.inverseMass) > 0 && !this.areJointed(A, B);
+        //counters of the last step: pairs given to the narrow phase vs pairs really in contact
+        this.collisionStats = { aabbTests: 0, pairsTested: 0, pairsColliding: 0 };
+
+        //continuous collision detection for fast bodies (see sweepBody): a body is swept when it moves more than
+        //ccdThreshold * boundingRadius in one step, at most ccdMaxIterations impacts are handled per step
+        this.ccdEnabled = ccd;
+        this.ccdThreshold = ccdThreshold;
+        this.ccdMaxIterations = ccdMaxIterations;
+        this.staticColliderData = [];
+
+        //joints (physics_engine_joints.js), solved with sequential impulses after the contacts, see solveJoints
+        this.joints = [];
+        this.jointIterations = jointIterations;
+        this.jointWarmStarting = jointWarmStarting;
+        this.jointedPairs = new Map(); //pair key -> number of joints between the two bodies that do not let them collide
+
+        //contact and trigger events
+        this.triggers = [];
+        this.collisionListeners = { enter: [], stay: [], exit: [] };
+        this.triggerListeners = { enter: [], exit: [] };
+        this.activeContacts = new Map(); //contacts of the previous step, key -> event
+        this.currentContacts = new Map(); //contacts found in this step
+    }
+
+    /*
+    collision events: callback(event) with
+    event = { bodyA, bodyB, collider, boundsRegion, point, normal, impulse }
+    bodyB is set for body-body contacts, collider (the mesh) for static colliders, boundsRegion for the bounds walls.
+    normal points from the obstacle / bodyA towards bodyA / bodyB as in the solver, impulse is the normal impulse of the step.
+    every on* method returns a function that removes the callback
+    */
+    onCollisionEnter(callback) {
+        return addListener(this.collisionListeners.enter, callback);
+    }
+
+    onCollisionStay(callback) {
+        return addListener(this.collisionListeners.stay, callback);
+    }
+
+    onCollisionExit(callback) {
+        return addListener(this.collisionListeners.exit, callback);
+    }
+
+    //trigger events: callback({ trigger, body, point }) for every trigger, each TriggerVolume also has its own
+    onTriggerEnter(callback) {
+        return addListener(this.triggerListeners.enter, callback);
+    }
+
+    onTriggerExit(callback) {
+        return addListener(this.triggerListeners.exit, callback);
+    }
+
+    addTrigger(trigger) {
+        this.triggers.push(trigger);
+        return trigger;
+    }
+
+    removeTrigger(trigger) {
+        this.triggers = this.triggers.filter(t => t !== trigger);
+    }
+
+    hasCollisionListeners() {
+        const listeners = this.collisionListeners;
+        return listeners.enter.length > 0 || listeners.stay.length > 0 || listeners.exit.length > 0;
+    }
+
+    //called by the solvers for every contact they resolve, contacts of the same pair in one step are merged.
+    //returns the merged contact (null when nobody listens)
+    recordContact(bodyA, bodyB, collider, boundsRegion, point, normal, impulse) {
+        if (!this.hasCollisionListeners()) return null;
+
+        //same key whatever the order of the pair
+        if (bodyB && bodyB.id < bodyA.id) {
+            [bodyA, bodyB] = [bodyB, bodyA];
+            normal = new Vec3().copy(normal).multiplyScalar(-1);
+        }
+        const key = bodyB ? `${bodyA.id}:${bodyB.id}` : collider ? `${bodyA.id}:c${collider.id}` : `${bodyA.id}:r${boundsRegion}`;
+
+        const contact = this.currentContacts.get(key);
+        if (!contact) {
+            const newContact = {
+                bodyA, bodyB, collider, boundsRegion,
+                point: new Vec3().copy(point),
+                normal: new Vec3().copy(normal),
+                impulse,
+                maxImpulse: impulse
+            };
+            this.currentContacts.set(key, newContact);
+            return newContact;
+        }
+        //the point and normal of the strongest sub-contact represent the whole contact
+        contact.impulse += impulse;
+        if (impulse > contact.maxImpulse) {
+            contact.maxImpulse = impulse;
+            contact.point.copy(point);
+            contact.normal.copy(normal);
+        }
+        return contact;
+    }
+
+    //compares the contacts of this step with the ones of the previous step
+    dispatchCollisionEvents() {
+        this.currentContacts.forEach((contact, key) => {
+            this.emitCollisionEvent(this.activeContacts.has(key) ? 'stay' : 'enter', contact);
+        });
+
+        const resting = body => !body || body.isSleeping || body.inverseMass === 0;
+        this.activeContacts.forEach((contact, key) => {
+            if (this.currentContacts.has(key)) return;
+            //sleeping bodies are not resolved anymore, but they are still touching: keep the contact without events
+            if (resting(contact.bodyA) && resting(contact.bodyB)) {
+                this.currentContacts.set(key, contact);
+                return;
+            }
+            this.emitCollisionEvent('exit', contact);
+        });
+
+        const previous = this.activeContacts;
+        this.activeContacts = this.currentContacts;
+        this.currentContacts = previous;
+        this.currentContacts.clear();
+    }
+
+    //trigger test: AABB of the body (from its geometry and physics transform) against the trigger box
+    updateTriggers() {
+        this.triggers.forEach(trigger => {
+            const triggerBox = trigger.updateWorldBox();
+            this.bodies.forEach(body => {
+                if ((body.collisionLayer & trigger.mask) === 0) return;
+                _bodyBox.copy(body.mesh.geometry.boundingBox).applyMatrix4(body.getWorldMatrix());
+                const inside = triggerBox.intersectsBox(_bodyBox);
+                const wasInside = trigger.bodiesInside.has(body);
+                if (inside && !wasInside) {
+                    this.enterTrigger(trigger, body);
+                } else if (!inside && wasInside) {
+                    this.exitTrigger(trigger, body);
+                }
+            });
+        });
+    }
+
+    //kind is 'enter', 'stay' or 'exit'
+    emitCollisionEvent(kind, contact) {
+        emit(this.collisionListeners[kind], contact);
+    }
+
+    enterTrigger(trigger, body) {
+        trigger.bodiesInside.add(body);
+        const event = { trigger, body, point: body.position };
+        emit(trigger.enterListeners, event);
+        emit(this.triggerListeners.enter, event);
+    }
+
+    exitTrigger(trigger, body) {
+        trigger.bodiesInside.delete(body);
+        const event = { trigger, body, point: body.position };
+        emit(trigger.exitListeners, event);
+        emit(this.triggerListeners.exit, event);
     }
     
     setWorldBounds(minVec, maxVec) { 
         this.worldBounds = { min: minVec, max: maxVec }; 
+        this.setBoundsRegion('world', this.worldBounds);
     }
     
     setPrizeBounds(box3) {
@@ -130,10 +578,28 @@ export class PhysicsEngine {
             min: new Vec3(box3.min.x + margin, box3.min.y + margin, box3.min.z + margin), 
             max: new Vec3(box3.max.x - margin, box3.max.y - margin, box3.max.z - margin) 
         };
+        this.setBoundsRegion('prize', this.prizeBounds);
+        //same walls but without the floor, for the prizes that are falling through the chute
+        this.setBoundsRegion('chute', {
+            min: new Vec3(this.prizeBounds.min.x, -Infinity, this.prizeBounds.min.z),
+            max: this.prizeBounds.max
+        });
     }
     
     setCandyBounds(minVec, maxVec) {
         this.candyBounds = { min: minVec, max: maxVec };
+        this.setBoundsRegion('candy', this.candyBounds);
+    }
+
+    //bounds = { min, max }, bodies use it by setting their boundsRegion to name
+    setBoundsRegion(name, bounds) {
+        this.boundsRegions[name] = bounds;
+    }
+
+    //regions that were never registered fall back to the world bounds
+    getBoundsRegion(name) {
+        if (name === null || name === undefined) return null;
+        return this.boundsRegions[name] || this.boundsRegions.world || null;
     }
 
     setDispenserSafetyZone(center, radius) {
@@ -154,10 +620,70 @@ export class PhysicsEngine {
         this.bodies.push(body); 
     }
 
+    addJoint(joint) {
+        this.joints.push(joint);
+        if (!joint.collideConnected && joint.bodyB) {
+            const key = getPairKey(joint.bodyA, joint.bodyB);
+            this.jointedPairs.set(key, (this.jointedPairs.get(key) || 0) + 1);
+        }
+        return joint;
+    }
+
+    removeJoint(joint) {
+        const count = this.joints.length;
+        this.joints = this.joints.filter(j => j !== joint);
+        if (this.joints.length === count || joint.collideConnected || !joint.bodyB) return;
+        const key = getPairKey(joint.bodyA, joint.bodyB);
+        const pairs = this.jointedPairs.get(key) - 1;
+        if (pairs > 0) this.jointedPairs.set(key, pairs);
+        else this.jointedPairs.delete(key);
+    }
+
+    areJointed(A, B) {
+        return this.jointedPairs.size > 0 && this.jointedPairs.has(getPairKey(A, B));
+    }
+
+
+    /*
+    advances the simulation by the real time elapsed since the last frame.
+    onFixedStep(fixedDeltaTime) runs before every physics step, this is where gameplay code that
+    has to stay in lock-step with the physics (claw, candy machine, popcorn) is updated.
+    at the end every mesh is interpolated between the last two steps
+    */
+    step(frameDeltaTime, onFixedStep = null) {
+        this.accumulator += Math.min(Math.max(frameDeltaTime, 0), this.maxFrameTime);
+
+        let subSteps = 0;
+        while (this.accumulator >= this.fixedTimeStep && subSteps < this.maxSubSteps) {
+            this.runFixedStep(onFixedStep);
+            this.accumulator -= this.fixedTimeStep;
+            subSteps++;
+        }
+
+        //if we are still behind after maxSubSteps we drop the extra time instead of trying to catch up,
+        //otherwise every slow frame would make the next one even slower
+        if (subSteps === this.maxSubSteps && this.accumulator >= this.fixedTimeStep) {
+            this.accumulator = this.accumulator % this.fixedTimeStep;
+        }
+
+        this.interpolationAlpha = this.accumulator / this.fixedTimeStep;
+        this.bodies.forEach(body => body.syncMesh(this.interpolationAlpha));
+        return subSteps;
+    }
+
+    //exactly one fixed step, outside of the frame clock (used to fast forward replays)
+    runFixedStep(onFixedStep = null) {
+        this.bodies.forEach(body => body.storePreviousState());
+        if (onFixedStep) onFixedStep(this.fixedTimeStep);
+        this.update(this.fixedTimeStep);
+        this.simulationTime += this.fixedTimeStep;
+    }
 
     addStaticCollider(mesh) {
         // register static colliders for collision detection with BVH
         if (mesh.geometry.boundsTree) {
+            if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+            mesh.updateWorldMatrix(true, false);
             this.staticColliders.push(mesh);
         } else {
         }
@@ -169,6 +695,9 @@ export class PhysicsEngine {
 
 
         this.bodies.forEach(body => {
+            //orientation may have been changed by gameplay code (claw, reset...) since the last step
+            body.updateInertiaWorld();
+
             //skip gravity for bodies being manually controlled during dispensing
             if (body.inverseMass > 0 && !body.isSleeping && !body.isBeingDispensed) {
                 body.force.add(this.gravity.clone().multiplyScalar(body.mass));
@@ -190,19 +719,49 @@ export class PhysicsEngine {
 
         if (this.worldBounds) this.handleCollisions();
 
+        //world transforms of the static colliders, shared by the discrete contacts and the sweeps
+        this.staticColliderData = this.staticColliders.length > 0 ? this.prepareStaticColliders() : [];
+        if (this.staticColliderData.length > 0) this.resolveStaticCollisions();
+
+        this.dispatchCollisionEvents();
+
+        if (this.joints.length > 0) this.solveJoints(deltaTime);
      
         this.bodies.forEach(body => {
             if (body.isSleeping) return;
+            _sweepStart.copy(body.position);
             body.update(deltaTime);
-            if (body.isCandy) {
+            if (this.ccdEnabled) this.sweepBody(body, _sweepStart, deltaTime);
+            //safety zones of the region the body is kept in, bodies without a region (released, dispensed) have none
+            if (body.boundsRegion === 'candy') {
                 this._applyCandyConstraints(body);
-            } else {
+            } else if (body.boundsRegion) {
                 this._applyPrizeConstraints(body);
             }
         });
+
+        if (this.triggers.length > 0) this.updateTriggers();
     }
     
-    /*    //timeout: ~1200ms from releaseStartTime
+    /*
+    sequential impulses on the joints, between the contacts and the integration of the positions:
+    the forces of the jointed bodies are turned into velocities first, then every joint prepares its rows
+    (and applies the impulses of the last step again when warm starting), then jointIterations passes over all
+    the joints. the velocities that come out are the ones body.update() uses to move the bodies
+    */
+    solveJoints(deltaTime) {
+        const joints = this.joints.filter(joint => joint.enabled);
+        joints.forEach(joint => {
+            joint.bodyA.integrateForces(deltaTime);
+            if (joint.bodyB) joint.bodyB.integrateForces(deltaTime);
+        });
+        joints.forEach(joint => joint.prepare(deltaTime, this.jointWarmStarting));
+        for (let i = 0; i < this.jointIterations; i++) {
+            joints.forEach(joint => joint.solve());
+        }
+    }
+
+    /*    //timeout: ~1200ms of simulation time from releaseStartTime (not wall clock, so replays and snapshots match)
       //during period: vertical-only gravity, no horizontal forces
       //after timeout: restore normal physics
   }
@@ -211,15 +770,15 @@ export class PhysicsEngine {
 
     updateCleanReleaseSystem() {
         const cleanReleaseTimeout = 1200; // 1.2 seconds of clean release
-        const currentTime = Date.now();
+        const currentTime = this.simulationTime * 1000;
         
         this.bodies.forEach(body => {
-            if (body.isBeingReleased && body.releaseStartTime) {
+            if (body.isBeingReleased && body.releaseStartTime != null) {
                 const timeSinceRelease = currentTime - body.releaseStartTime;
                 
 
                 if (timeSinceRelease < 0 || timeSinceRelease > cleanReleaseTimeout * 2) {
-                    body.ignoreClawCollision = false;
+                    body.removeCollisionOverride('release');
                     body.isBeingReleased = false;
                     body.releaseStartTime = null;
                     return;
@@ -228,7 +787,7 @@ export class PhysicsEngine {
 
                 if (timeSinceRelease > cleanReleaseTimeout) {
                     // re-enable collisions and normal physics
-                    body.ignoreClawCollision = false;
+                    body.removeCollisionOverride('release');
                     body.isBeingReleased = false;
                     body.releaseStartTime = null;
                     
@@ -244,7 +803,7 @@ export class PhysicsEngine {
 
   handleCollisions() {
       // For each body:
-      // 1. Choose appropriate bounds (world/prize/candy)
+      // 1. Choose the bounds of the body's region (world/prize/candy/chute)
       // 2. Anti-sticking heuristic for edge cases
       // 3. Per-vertex boundary checking
       // 4. Position correction and impulse response
@@ -257,17 +816,10 @@ export class PhysicsEngine {
     handleCollisions() {
         this.bodies.forEach(body => {
             //skip collision handling for special states, including animation-blocked bodies.
-            if (body.inverseMass === 0 || body.isSleeping || body.isBeingDispensed || body.isBeingReleased || body.isBlocked) return;
+            if (body.inverseMass === 0 || body.isSleeping || body.isBlocked) return;
     
-            //choose which bounds to use based on whether it's a candy or a prize
-            let boundsToUse = null;
-            if (body.isCandy) {
-                boundsToUse = this.candyBounds;
-            } else if (this.prizeBounds) {
-                boundsToUse = this.prizeBounds;
-            } else {
-                boundsToUse = this.worldBounds; 
-            }
+            //the bounds come from the region of the body (prize, candy, chute...), no region means no bounds
+            const boundsToUse = this.getBoundsRegion(body.boundsRegion);
 
             if (!boundsToUse) return;
 
@@ -303,7 +855,7 @@ export class PhysicsEngine {
     
                 ['x', 'y', 'z'].forEach(axis => {
                     [1, -1].forEach(dir => {
-                        this.checkCollision(body, localVertex, axis, dir, boundsToUse);
+                        this.checkCollision(body, localVertex, axis, dir, boundsToUse, body.boundsRegion);
                     });
                 });
             }
@@ -311,13 +863,10 @@ export class PhysicsEngine {
     }
     
     
-    checkCollision(body, vertex, axis, dir, bounds) {
+    checkCollision(body, vertex, axis, dir, bounds, regionName = null) {
         //in this function, we check for collisions on each axis and direction with the bounds provided
 
-        //if the body can fall, then we are going to skip every collision check on the y axis
-        if (body.canFallThrough && axis === 'y' && dir === -1) {
-            return;
-        }
+        //open sides of a region (like the floor of the chute region) have an infinite limit and are never crossed
         //get the current bounds parameters
         //in particular we check if the object is colliding along the axis in the direction specified
         const limit = dir > 0 ? bounds.max[axis] : bounds.min[axis];
@@ -327,65 +876,293 @@ export class PhysicsEngine {
             const penetration = limit - vertex[axis];
             body.position[axis] += penetration * 0.8; 
             
-            //we then get the velocity of the response
-            const relativePos = new Vec3().copy(vertex).sub(body.position);
-            const contactVelocity = new Vec3().copy(body.linearVelocity).add(body.angularVelocity.cross(relativePos));
-            //closing speed is the velocity with which the object is getting closer to the walls
-            const closingSpeed = contactVelocity[axis] * dir;
-            if (closingSpeed <= 0) return;
-            if (closingSpeed < 0.01) return;
-
-            //in the end we compute the impulse to apply to the body in response to the contact
-            //thanks to the velocity components we have computed before, we can define the response of the object to the walls 
-            const impulseMag = -closingSpeed;
-            const normalImpulse = new Vec3();
-            normalImpulse[axis] = impulseMag * dir;
-            //we then apply a bounce impulse if the closing speed is above a certain threshold in order to cause a bounce effect
-            if (closingSpeed > 0.05) { 
-                //we also apply an impulse to get a bounce effect, scaled down by restitution and a factor to keep it gentle
-                //i tried to implement a more realistic effect
-                const bounceImpulseMag = -closingSpeed * body.restitution * 0.6; 
-                const bounceImpulse = new Vec3();
-                bounceImpulse[axis] = bounceImpulseMag * dir;
-                normalImpulse.add(bounceImpulse);
+            //the wall normal points back inside the bounds
+            const normal = new Vec3();
+            normal[axis] = -dir;
+            const impulse = this.applyContactResponse(body, vertex, normal);
+            this.recordContact(body, null, null, regionName, vertex, normal, impulse);
+        }
+    }
+
+    //impulse response of a body touching something that does not move (bounds walls, static colliders)
+    //normal points away from the obstacle, towards the body. returns the normal impulse applied
+    applyContactResponse(body, point, normal) {
+        //we get the velocity of the contact point
+        const relativePos = new Vec3().copy(point).sub(body.position);
+        const contactVelocity = new Vec3().copy(body.linearVelocity).add(body.angularVelocity.cross(relativePos));
+        //closing speed is the velocity with which the object is getting closer to the obstacle
+        const closingSpeed = -contactVelocity.dot(normal);
+        if (closingSpeed <= 0) return 0;
+        if (closingSpeed < 0.01) return 0;
+
+        //in the end we compute the impulse to apply to the body in response to the contact
+        //thanks to the velocity components we have computed before, we can define the response of the object to the walls 
+        //the impulse is divided by the effective inverse mass at the contact point (mass + inertia), so hitting a corner
+        //turns part of the impulse in rotation instead of over-spinning the body
+        let normalSpeed = closingSpeed;
+        //we then apply a bounce impulse if the closing speed is above a certain threshold in order to cause a bounce effect
+        if (closingSpeed > 0.05) { 
+            //we also apply an impulse to get a bounce effect, scaled down by restitution and a factor to keep it gentle
+            //i tried to implement a more realistic effect
+            normalSpeed += closingSpeed * body.restitution * 0.6;
+        }
+        const normalImpulseMag = normalSpeed / this.getPointInverseMass(body, relativePos, normal);
+        const normalImpulse = new Vec3().copy(normal).multiplyScalar(normalImpulseMag);
+        //once we have applied the normal impulse, we also apply a friction impulse tangent to the contact normal so that the object doesn't slide indefinitely
+        const tangentVel = new Vec3().copy(contactVelocity).sub(new Vec3().copy(normal).multiplyScalar(contactVelocity.dot(normal)));
+        const tangentSpeed = tangentVel.length();
+        if (tangentSpeed > 1e-6) tangentVel.multiplyScalar(1 / tangentSpeed);
+        //impulse that would stop the sliding, limited by coulomb's cone
+        const maxFriction = normalImpulseMag * body.friction;
+        const frictionImpulseMag = tangentSpeed > 1e-6
+            ? Math.min(tangentSpeed / this.getPointInverseMass(body, relativePos, tangentVel), maxFriction)
+            : 0;
+        const frictionImpulse = tangentVel.multiplyScalar(-frictionImpulseMag);
+        const totalImpulse = normalImpulse.add(frictionImpulse);
+        body.applyImpulse(totalImpulse, point);
+        return normalImpulseMag;
+    }
+
+
+/*
+  resolveStaticCollisions() {
+      // 1. world AABB of every static collider (they can still be animated, like the candy machine gate)
+      // 2. for each awake body, AABB test against each collider
+      // 3. BVH closest point query from the body center to reject colliders that are not within its radius
+      // 4. per-vertex probes: a probe behind the closest triangle is penetrating
+      // 5. one reduced contact per collider (deepest depth, averaged point and normal) -> position correction and impulse
+  }
+  faces are treated as two sided: the side where the body center is becomes the "outside", so thin open meshes
+  (glass panels) and the inside of closed ones (the candy globe) both keep the bodies on their side
+*/
+
+    prepareStaticColliders() {
+        return this.staticColliders.map(mesh => {
+            const matrix = mesh.matrixWorld;
+            const worldBox = mesh.geometry.boundingBox.clone().applyMatrix4(matrix);
+            //collider scale, to convert world distances in the collider local space
+            const minScale = Math.min(
+                _scaleColumn.setFromMatrixColumn(matrix, 0).length(),
+                _scaleColumn.setFromMatrixColumn(matrix, 1).length(),
+                _scaleColumn.setFromMatrixColumn(matrix, 2).length()
+            );
+            return {
+                mesh,
+                worldBox,
+                inverseMatrix: new THREE.Matrix4().copy(matrix).invert(),
+                normalMatrix: new THREE.Matrix3().getNormalMatrix(matrix),
+                localScale: minScale > 0 ? 1 / minScale : 1
+            };
+        });
+    }
+
+    resolveStaticCollisions() {
+        const colliders = this.staticColliderData;
+        const bodyBox = new THREE.Box3();
+
+        this.bodies.forEach(body => {
+            // same special cases as the bounds: released or falling stars must be able to go through the chute
+            if (!body.isSimulated() || !body.collidesWithLayer(CollisionLayers.STATIC)) return;
+
+            const r = body.boundingRadius;
+            bodyBox.min.set(body.position.x - r, body.position.y - r, body.position.z - r);
+            bodyBox.max.set(body.position.x + r, body.position.y + r, body.position.z + r);
+
+            colliders.forEach(collider => {
+                if (!collider.worldBox.intersectsBox(bodyBox)) return;
+                const contact = this.computeStaticContact(body, collider);
+                if (!contact) return;
+
+                //position correction with the deepest probe, then the same impulse model of the bounds
+                body.position.add(new Vec3().copy(contact.normal).multiplyScalar(contact.depth * 0.8));
+                const impulse = this.applyContactResponse(body, contact.point, contact.normal);
+                this.recordContact(body, null, collider.mesh, null, contact.point, contact.normal, impulse);
+            });
+        });
+    }
+
+    /*
+    continuous collision detection (swept sphere).
+    the discrete checks only look at where a body is at the end of each step, a fast body (ejected candy,
+    star dropped by the auto drop) can be on one side of a thin wall at one step and on the other side at the next.
+    bodies that moved more than ccdThreshold * boundingRadius in this step are swept from start to their new position
+    with a sphere of radius ccdRadius (the inner sphere of the body, resting contacts stay with the discrete solver):
+    at the time of impact the body is stopped, the velocity into the surface is removed and the rest of the step
+    is simulated with the new velocity, which can hit something else (up to ccdMaxIterations impacts)
+    */
+    sweepBody(body, start, deltaTime) {
+        if (!body.isSimulated()) return;
+        const bounds = this.getBoundsRegion(body.boundsRegion);
+        const colliders = body.collidesWithLayer(CollisionLayers.STATIC) ? this.staticColliderData : [];
+        if (!bounds && colliders.length === 0) return;
+
+        const minDistance = this.ccdThreshold * body.boundingRadius;
+        let remainingTime = deltaTime;
+
+        for (let iteration = 0; iteration < this.ccdMaxIterations; iteration++) {
+            if (_sweepDelta.copy(body.position).sub(start).lengthSq() <= minDistance * minDistance) return;
+
+            const hit = this.findTimeOfImpact(body, start, body.position, bounds, colliders);
+            if (!hit) return;
+
+            _sweepDelta.copy(body.position).sub(start);
+            body.position.copy(start).add(_sweepDelta.multiplyScalar(hit.time));
+
+            //inelastic like the other contacts: the normal velocity goes (restitution aside) to zero
+            const normalSpeed = body.linearVelocity.dot(hit.normal);
+            if (normalSpeed < 0) {
+                body.linearVelocity.sub(new Vec3().copy(hit.normal).multiplyScalar(normalSpeed * (1 + body.restitution)));
             }
-            //once we have applied the normal impulse, we also apply a friction impulse tangent to the contact normal so that the object doesn't slide indefinitely
-            const tangentVel = new Vec3().copy(contactVelocity);
-            tangentVel[axis] = 0;
-            const maxFriction = Math.abs(impulseMag) * body.friction;
-            const frictionImpulseMag = Math.min(tangentVel.length(), maxFriction);
-            const frictionImpulse = tangentVel.normalize().multiplyScalar(-frictionImpulseMag);
-            const totalImpulse = normalImpulse.add(frictionImpulse);
-            body.applyImpulse(totalImpulse, vertex);
+            _sweepPoint.copy(hit.normal).multiplyScalar(-body.ccdRadius).add(body.position);
+            this.recordContact(body, null, hit.collider, hit.boundsRegion, _sweepPoint, hit.normal, Math.max(-normalSpeed, 0) * body.mass);
+
+            remainingTime *= 1 - hit.time;
+            if (iteration === this.ccdMaxIterations - 1) return; //out of iterations, the body stays at the impact
+            start.copy(body.position);
+            body.position.add(new Vec3().copy(body.linearVelocity).multiplyScalar(remainingTime));
         }
     }
 
+    //earliest impact of the sphere moving from start to end: { time (0..1 of the sweep), normal, collider, boundsRegion } or null
+    findTimeOfImpact(body, start, end, bounds, colliders) {
+        const radius = body.ccdRadius;
+        let hit = null;
+
+        //bounds: the center has to stay inside the box shrunk by the radius, crossing one of its planes is an impact
+        if (bounds) {
+            ['x', 'y', 'z'].forEach(axis => {
+                const from = start[axis], to = end[axis];
+                const min = bounds.min[axis] + radius, max = bounds.max[axis] - radius;
+                let time = null, direction = 0;
+                if (to < min && from >= min) { time = (from - min) / (from - to); direction = 1; }
+                else if (to > max && from <= max) { time = (max - from) / (to - from); direction = -1; }
+                if (time === null || (hit && time >= hit.time)) return;
+                const normal = new Vec3();
+                normal[axis] = direction;
+                hit = { time, normal, collider: null, boundsRegion: body.boundsRegion };
+            });
+        }
 
+        //static colliders: sub-steps along the sweep no longer than the radius, so the spheres overlap and no
+        //wall can fit between two of them, then bisection between the last free sub-step and the first hit
+        if (colliders.length > 0) {
+            const distance = _sweepDelta.copy(end).sub(start).length();
+            const subSteps = Math.min(Math.ceil(distance / radius), MAX_SWEEP_SUBSTEPS);
+            _sweepBox.min.set(Math.min(start.x, end.x) - radius, Math.min(start.y, end.y) - radius, Math.min(start.z, end.z) - radius);
+            _sweepBox.max.set(Math.max(start.x, end.x) + radius, Math.max(start.y, end.y) + radius, Math.max(start.z, end.z) + radius);
+
+            colliders.forEach(collider => {
+                if (!collider.worldBox.intersectsBox(_sweepBox)) return;
+                //already touching at the start: that is a resting contact for resolveStaticCollisions
+                if (this.sphereHitsCollider(collider, start, end, 0, radius)) return;
+
+                let free = 0;
+                let blocked = null;
+                for (let i = 1; i <= subSteps; i++) {
+                    const time = i / subSteps;
+                    if (hit && time - 1 / subSteps >= hit.time) return; //an earlier impact was already found
+                    if (this.sphereHitsCollider(collider, start, end, time, radius)) {
+                        blocked = time;
+                        break;
+                    }
+                    free = time;
+                }
+                if (blocked === null) return;
 
-    getBodyPairsToCheck() { 
-        const pairs = [];
-        for (let i = 0; i < this.bodies.length; i++) {
-            const A = this.bodies[i];
-            // Skip static, held, or animation-blocked bodies from consideration.
-            if ((A.inverseMass === 0 && !A.isBeingDispensed) || A.isHeld || A.isBlocked) continue;
-    
-            for (let j = i + 1; j < this.bodies.length; j++) {
-                const B = this.bodies[j];
-                // Also skip pairs involving another static, held, or blocked body.
-                if ((B.inverseMass === 0 && !B.isBeingDispensed) || B.isHeld || B.isBlocked) continue;
-                
-                // CLEAN RELEASE: Skip collisions between objects during clean release
-                // This prevents released stars from interfering with each other
-                if ((A.isBeingReleased || B.isBeingReleased)) {
-                    continue; // Skip collision resolution for releasing objects
+                for (let i = 0; i < SWEEP_BISECTIONS; i++) {
+                    const time = (free + blocked) * 0.5;
+                    if (this.sphereHitsCollider(collider, start, end, time, radius)) blocked = time;
+                    else free = time;
                 }
-    
-                // broad phase: sfera vs sfera
-                const maxDist = A.boundingRadius + B.boundingRadius;
-                if (A.position.clone().sub(B.position).lengthSq() < maxDist*maxDist)
-                    pairs.push([A, B]);
+                if (hit && free >= hit.time) return;
+                hit = { time: free, normal: this.getSweepNormal(collider, start, end, blocked), collider: collider.mesh, boundsRegion: null };
+            });
+        }
+
+        return hit;
+    }
+
+    sphereHitsCollider(collider, start, end, time, radius) {
+        _sweepSphere.center.lerpVectors(start, end, time).applyMatrix4(collider.inverseMatrix);
+        _sweepSphere.radius = radius * collider.localScale;
+        return collider.mesh.geometry.boundsTree.intersectsSphere(_sweepSphere);
+    }
+
+    //direction from the closest point of the collider to the sphere center at the impact
+    getSweepNormal(collider, start, end, time) {
+        _localPoint.lerpVectors(start, end, time).applyMatrix4(collider.inverseMatrix);
+        const normal = new Vec3();
+        const hit = collider.mesh.geometry.boundsTree.closestPointToPoint(_localPoint, _closestHit);
+        if (hit) {
+            _hitPoint.copy(hit.point).applyMatrix4(collider.mesh.matrixWorld);
+            _worldPoint.lerpVectors(start, end, time);
+            normal.copy(_worldPoint.sub(_hitPoint));
+        }
+        //center exactly on the surface: push back against the motion
+        if (normal.lengthSq() < 1e-12) normal.copy(start).sub(end);
+        return normal.normalize();
+    }
+
+    computeStaticContact(body, collider) {
+        const bvh = collider.mesh.geometry.boundsTree;
+        const threshold = body.boundingRadius * collider.localScale;
+
+        //quick rejection: no triangle of the collider is within the bounding sphere of the body
+        _localPoint.copy(body.position).applyMatrix4(collider.inverseMatrix);
+        if (!bvh.closestPointToPoint(_localPoint, _closestHit, 0, threshold)) return null;
+
+        const samples = body.getLocalSamplePoints();
+        const contactPoint = new Vec3();
+        const contactNormal = new Vec3();
+        let maxDepth = 0;
+        let count = 0;
+
+        for (let i = 0; i < samples.length; i++) {
+            _worldPoint.copy(samples[i]).applyQuaternion(body.orientation).add(body.position);
+            _localPoint.copy(_worldPoint).applyMatrix4(collider.inverseMatrix);
+
+            const hit = bvh.closestPointToPoint(_localPoint, _closestHit, 0, threshold);
+            if (!hit) continue;
+
+            //triangle normal in world space
+            getTriangleNormal(collider.mesh.geometry, hit.faceIndex, _faceNormal);
+            _faceNormal.applyMatrix3(collider.normalMatrix).normalize();
+            _hitPoint.copy(hit.point).applyMatrix4(collider.mesh.matrixWorld);
+
+            //two sided faces: the normal is flipped towards the side of the body center
+            if (_centerOffset.copy(body.position).sub(_hitPoint).dot(_faceNormal) < 0) {
+                _faceNormal.negate();
             }
+
+            const separation = _centerOffset.copy(_worldPoint).sub(_hitPoint).dot(_faceNormal);
+            if (separation >= 0) continue; //the probe is in front of the triangle
+
+            maxDepth = Math.max(maxDepth, -separation);
+            contactPoint.add(_worldPoint);
+            contactNormal.add(_faceNormal);
+            count++;
         }
+
+        if (count === 0) return null;
+
+        contactPoint.multiplyScalar(1 / count);
+        contactNormal.normalize();
+        return { point: contactPoint, normal: contactNormal, depth: maxDepth };
+    }
+
+
+
+    // Skip held or animation-blocked bodies, and bodies that do not collide with any other body.
+    // which pairs collide is then decided by the layers and masks (canCollidePair)
+    isBroadPhaseCandidate(body) {
+        return !body.isHeld && !body.isBlocked && body.collisionLayer !== CollisionLayers.NONE && body.collisionMask !== CollisionLayers.NONE;
+    }
+
+    //broad phase: AABB overlap of the bounding spheres, done by the broad phase chosen in the constructor
+    getBodyPairsToCheck() { 
+        const pairs = this.broadPhase.findPairs(this.bodies, this.canCollide, this.canCollidePair);
+        this.collisionStats.aabbTests = this.broadPhase.pairsTested;
+        this.collisionStats.pairsTested = pairs.length;
         return pairs;
     }
     
@@ -395,32 +1172,26 @@ resolveBodyCollisions() {
     const pairs = this.getBodyPairsToCheck(); //we check which objects are potentially colliding , we thus get the pairs
     //that are potentially colliding and we then apply the physics 
 
-    const starCorrectionFactor = 0.01; // Gentle for star-star collisions
-    const candyCorrectionFactor = 0.02; // Stronger for candy-candy to prevent penetration
+    //the depth now comes from the real overlap of the meshes (not from the bounding spheres, which overestimated it a lot)
+    //so the correction factors are a fraction of the actual penetration that is removed every step
+    const starCorrectionFactor = 0.2; // Gentle for star-star collisions
+    const candyCorrectionFactor = 0.3; // Stronger for candy-candy to prevent penetration
 
-    const kinematicCorrectionFactor = 0.25; // Reduced from 0.4 for gentler wall interactions
+    const kinematicCorrectionFactor = 0.4; // kinematic bodies (dispensed candy) push harder
 
     const slop = 0.005; 
 
-    //we compute collision normal and penetration depth using BVH intersection tests
+    //we compute contact point, normal and penetration depth from the BVH triangle intersections
+    this.collisionStats.pairsColliding = 0;
     pairs.forEach(([A, B]) => {
-        const matAB = new THREE.Matrix4().copy(B.mesh.matrixWorld).invert()
-        .multiply(A.mesh.matrixWorld);
-
-        if (!A.mesh.geometry.boundsTree.intersectsGeometry(B.mesh.geometry, matAB)) return;
-
-        const n = new Vec3().copy(B.position).sub(A.position);
-        let dist = n.length();
-        if (dist < 1e-6) {
-            n.set(0, 1, 0);
-            dist = 1e-6;
-        }
-        
-        const penetration = (A.boundingRadius + B.boundingRadius) - dist;
-
-        if (penetration <= slop) return;//we are ignoring small penetrations below a threshold
+        const contact = this.computeBodyContact(A, B);
+        if (!contact) return;
+        this.collisionStats.pairsColliding++;
+        //the impulse is added below, once it is known
+        const contactEvent = this.recordContact(A, B, null, null, contact.point, contact.normal, 0);
 
-        n.normalize();
+        const n = contact.normal;
+        const penetration = contact.depth;
 
         //we are checking if one of the two objects is kinematic (static or infinite mass), depending on this situation we'll have different behaviours
         const isKinematicCollision = (A.inverseMass === 0 || B.inverseMass === 0);
@@ -429,22 +1200,27 @@ resolveBodyCollisions() {
         let correctionFactor;
         if (isKinematicCollision) {
             correctionFactor = kinematicCorrectionFactor;
-        } else if (A.isCandy && B.isCandy) {
+        } else if (A.collisionLayer & B.collisionLayer & CollisionLayers.CANDY) {
             correctionFactor = candyCorrectionFactor;
         } else {
             correctionFactor = starCorrectionFactor; 
         }
 
-        //we compute the correction amount and apply it
+        //we compute the correction amount and apply it, we are ignoring small penetrations below a threshold
         const correctionAmount = Math.max(0, penetration - slop);
-        const correction = n.clone().multiplyScalar(correctionAmount * correctionFactor);
+        if (correctionAmount > 0) {
+            const correction = n.clone().multiplyScalar(correctionAmount * correctionFactor);
 
-        //we apply the correction depending on the inverse mass
-        A.position.add(correction.clone().multiplyScalar(-A.inverseMass / (A.inverseMass + B.inverseMass)));
-        B.position.add(correction.clone().multiplyScalar(B.inverseMass / (A.inverseMass + B.inverseMass)));
+            //we apply the correction depending on the inverse mass
+            A.position.add(correction.clone().multiplyScalar(-A.inverseMass / (A.inverseMass + B.inverseMass)));
+            B.position.add(correction.clone().multiplyScalar(B.inverseMass / (A.inverseMass + B.inverseMass)));
+        }
 
-        // we compute the relative velocity along the collision normal in order to apply an impulse response
-        const rv = new Vec3().copy(B.linearVelocity).sub(A.linearVelocity);
+        // relative velocity of the two contact points (linear + angular part), along the collision normal
+        const rA = new Vec3().copy(contact.point).sub(A.position);
+        const rB = new Vec3().copy(contact.point).sub(B.position);
+        const rv = new Vec3().copy(B.linearVelocity).add(B.angularVelocity.cross(rB))
+            .sub(A.linearVelocity).sub(A.angularVelocity.cross(rA));
         const velAlongNormal = rv.dot(n);
 
 
@@ -455,7 +1231,7 @@ resolveBodyCollisions() {
 
         // Different thresholds for different object types
         let velocityRestitutionThreshold;
-        if (A.isCandy && B.isCandy) {
+        if (A.collisionLayer & B.collisionLayer & CollisionLayers.CANDY) {
             velocityRestitutionThreshold = 0.3; // Lower threshold for candies - more bouncy to prevent sticking
         } else {
             velocityRestitutionThreshold = 0.5; // Higher threshold for stars - more gentle
@@ -466,12 +1242,27 @@ resolveBodyCollisions() {
             e = 0;
         }
 
+        //the impulse is applied at the contact point, so an off-center hit also makes the bodies spin
         let j = -(1 + e) * velAlongNormal;
-        j /= (A.inverseMass + B.inverseMass);
+        j /= this.getEffectiveInverseMass(A, B, rA, rB, n);
 
         const impulse = n.clone().multiplyScalar(j);
-        A.linearVelocity.add(impulse.clone().multiplyScalar(-A.inverseMass));
-        B.linearVelocity.add(impulse.clone().multiplyScalar(B.inverseMass));
+        if (contactEvent) contactEvent.impulse += j;
+        B.applyImpulse(impulse, contact.point);
+        A.applyImpulse(impulse.clone().multiplyScalar(-1), contact.point);
+
+        //coulomb friction along the sliding direction, this is what lets stars rest on their flat faces
+        const tangent = new Vec3().copy(rv).sub(n.clone().multiplyScalar(velAlongNormal));
+        if (tangent.lengthSq() > 1e-8) {
+            tangent.normalize();
+            const mu = Math.sqrt(A.friction * B.friction);
+            let jt = -rv.dot(tangent) / this.getEffectiveInverseMass(A, B, rA, rB, tangent);
+            jt = Math.max(-j * mu, Math.min(j * mu, jt));
+
+            const frictionImpulse = tangent.multiplyScalar(jt);
+            B.applyImpulse(frictionImpulse, contact.point);
+            A.applyImpulse(frictionImpulse.clone().multiplyScalar(-1), contact.point);
+        }
         
 
         A.isSleeping = false;
@@ -481,19 +1272,104 @@ resolveBodyCollisions() {
     });
 }
 
+//inverse mass "seen" by an impulse along direction at the two contact points (linear and rotational part)
+getEffectiveInverseMass(A, B, rA, rB, direction) {
+    return this.getPointInverseMass(A, rA, direction) + this.getPointInverseMass(B, rB, direction);
+}
+
+//1/m + ((I⁻¹ (r × d)) × r) · d for one body, 0 for kinematic ones
+getPointInverseMass(body, r, direction) {
+    if (body.inverseMass === 0) return 0;
+    const angular = body.applyInverseInertia(r.cross(direction)).cross(r);
+    return body.inverseMass + angular.dot(direction);
+}
 
 /*
-takes the pairs from getbodypairstocheck().
+contact manifold between two bodies from their BVHs:
+
+bvhcast walks both trees at the same time (B brought in the local space of A) and gives us every pair of
+triangles that actually intersect. each pair gives an intersection segment (the contact curve lies on both surfaces).
+
+contact point -> average of the segment centers.
+normal -> sum of the normals of A's triangles minus the ones of B's triangles, pointing from A to B.
+depth -> overlap of the two bodies along the normal, measured only with the vertices close to the contact region,
+         so the far tips of a star do not count (they are not the part that is touching).
+*/
+computeBodyContact(A, B) {
+    const matrixA = _matrixA.copy(A.getWorldMatrix());
+    const bToA = _bToA.copy(matrixA).invert().multiply(B.getWorldMatrix());
+
+    const localPoint = new THREE.Vector3();
+    const localNormal = new THREE.Vector3();
+    const segmentCenters = [];
+
+    A.mesh.geometry.boundsTree.bvhcast(B.mesh.geometry.boundsTree, bToA, {
+        intersectsTriangles: (triangleA, triangleB) => {
+            if (!triangleA.intersectsTriangle(triangleB, _segment)) return false;
+
+            const center = _segment.getCenter(new THREE.Vector3());
+            segmentCenters.push(center);
+            localPoint.add(center);
+            localNormal.add(triangleA.getNormal(_normalA)).sub(triangleB.getNormal(_normalB));
+
+            return segmentCenters.length >= MAX_CONTACT_SAMPLES; //enough samples, stop the traversal
+        }
+    });
+
+    if (segmentCenters.length === 0) return null;
 
-accurate narrow phase with bvh:
+    localPoint.multiplyScalar(1 / segmentCenters.length);
 
-builds the local-a → local-b matrix (matab).
+    //size of the contact region, to only use the vertices that are actually touching to measure the depth
+    let regionRadius = 0;
+    segmentCenters.forEach(c => { regionRadius = Math.max(regionRadius, c.distanceTo(localPoint)); });
 
-uses boundstree.intersectsgeometry to verify real geometric intersection.
+    const point = new Vec3().copy(localPoint.applyMatrix4(matrixA));
+    const normal = new Vec3();
+    if (localNormal.lengthSq() > 1e-12) {
+        normal.copy(localNormal.transformDirection(matrixA));
+    } else {
+        //perfectly symmetric contact, fall back to the center-to-center direction
+        normal.copy(B.position).sub(A.position).normalize();
+        if (normal.lengthSq() === 0) normal.set(0, 1, 0);
+    }
+
+    //scale the region from A local space to world space
+    regionRadius = regionRadius * _scaleColumn.setFromMatrixColumn(matrixA, 0).length()
+        + 0.25 * Math.min(A.boundingRadius, B.boundingRadius);
+    const regionRadiusSq = regionRadius * regionRadius;
+
+    //separating axis overlap along the normal, with the vertices of the contact region only
+    let maxA = -Infinity;
+    let minB = Infinity;
+    A.getLocalSamplePoints(BODY_CONTACT_SAMPLES).forEach(sample => {
+        _worldPoint.copy(sample).applyQuaternion(A.orientation).add(A.position);
+        if (_worldPoint.distanceToSquared(point) > regionRadiusSq) return;
+        maxA = Math.max(maxA, _centerOffset.copy(_worldPoint).sub(point).dot(normal));
+    });
+    B.getLocalSamplePoints(BODY_CONTACT_SAMPLES).forEach(sample => {
+        _worldPoint.copy(sample).applyQuaternion(B.orientation).add(B.position);
+        if (_worldPoint.distanceToSquared(point) > regionRadiusSq) return;
+        minB = Math.min(minB, _centerOffset.copy(_worldPoint).sub(point).dot(normal));
+    });
+
+    let depth = (maxA === -Infinity || minB === Infinity) ? 0 : Math.max(0, maxA - minB);
+    depth = Math.min(depth, 0.5 * Math.min(A.boundingRadius, B.boundingRadius));
+
+    return { point, normal, depth };
+}
 
-if no intersection → skip.
 
-computes the normal between centers, distance, penetration (with slop).
+/*
+takes the pairs from getbodypairstocheck().
+
+narrow phase with bvh contact manifold:
+
+computebodycontact intersects the triangles of the two bvhs (bvhcast).
+
+if no triangle intersects → skip.
+
+gives a contact point on the surfaces, a normal from the touching faces and the real penetration depth.
 
 position correction:
 
@@ -503,13 +1379,13 @@ moves a and b along the normal in proportion to their masses (via inversemass).
 
 collision impulse:
 
-takes the relative velocity along the normal.
+takes the relative velocity of the contact points (linear + angular) along the normal.
 
 if they are separating, exit.
 
 determines the effective restitution with a threshold (more bouncy for candies).
 
-computes the impulse and updates the linear velocities of a and b.
+applies the impulse at the contact point, so the bodies also get spin, then a coulomb friction impulse along the tangent.
 
 wakes both up (reset the sleep timers).
 
@@ -526,16 +1402,97 @@ spendStarAsCoin() {
     }
 }
 
+    /*
+    snapshot of the whole world as plain JSON: every body (keyed by mesh name, like Star_7 or Candy_12),
+    the bounds regions and the safety zones. JSON.stringify(engine.serialize()) can be saved to a file
+    */
+    serialize() {
+        const bodies = {};
+        this.bodies.forEach(body => {
+            bodies[body.mesh.name] = body.serialize();
+        });
+
+        const boundsRegions = {};
+        Object.keys(this.boundsRegions).forEach(name => {
+            boundsRegions[name] = boundsToJSON(this.boundsRegions[name]);
+        });
+
+        return {
+            version: 1,
+            simulationTime: this.simulationTime,
+            bodies,
+            boundsRegions,
+            safetyZones: {
+                dispenser: this.dispenserCenter ? { center: vectorToArray(this.dispenserCenter), radius: this.dispenserSafetyRadius } : null,
+                chute: this.chuteCenter ? { center: vectorToArray(this.chuteCenter), radius: this.chuteSafetyRadius } : null
+            }
+        };
+    }
+
+    /*
+    restores a snapshot made by serialize() (the object or its JSON string).
+    bodies are matched by mesh name, so the meshes must already be loaded and registered.
+    returns the names that could not be matched: missing = in the snapshot but not in the world,
+    unmatched = in the world but not in the snapshot (those are left as they are)
+    */
+    deserialize(snapshot) {
+        const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+
+        const bodiesByName = new Map(this.bodies.map(body => [body.mesh.name, body]));
+        const missing = [];
+        Object.keys(data.bodies).forEach(name => {
+            const body = bodiesByName.get(name);
+            if (!body) {
+                missing.push(name);
+                return;
+            }
+            body.deserialize(data.bodies[name]);
+            bodiesByName.delete(name);
+        });
+
+        Object.keys(data.boundsRegions).forEach(name => {
+            this.setBoundsRegion(name, boundsFromJSON(data.boundsRegions[name]));
+        });
+        this.worldBounds = this.boundsRegions.world || null;
+        this.prizeBounds = this.boundsRegions.prize || null;
+        this.candyBounds = this.boundsRegions.candy || null;
+
+        const { dispenser, chute } = data.safetyZones;
+        if (dispenser) this.setDispenserSafetyZone(arrayToVector(dispenser.center), dispenser.radius);
+        if (chute) this.setChuteSafetyZone(arrayToVector(chute.center), chute.radius);
+
+        this.simulationTime = data.simulationTime;
+        this.accumulator = 0;
+        //contacts and trigger occupants of the old state are not valid anymore, without exit events:
+        //the next step enters what touches (or is inside a trigger) in the restored state
+        this.activeContacts.clear();
+        this.triggers.forEach(trigger => trigger.bodiesInside.clear());
+
+        return { missing, unmatched: Array.from(bodiesByName.keys()) };
+    }
+
     removeBody(bodyToRemove) {
         this.bodies = this.bodies.filter(body => body !== bodyToRemove);
+        this.joints.filter(joint => joint.bodyA === bodyToRemove || joint.bodyB === bodyToRemove)
+            .forEach(joint => this.removeJoint(joint));
+
+        //close the contacts and the triggers of the removed body
+        this.activeContacts.forEach((contact, key) => {
+            if (contact.bodyA !== bodyToRemove && contact.bodyB !== bodyToRemove) return;
+            this.activeContacts.delete(key);
+            this.emitCollisionEvent('exit', contact);
+        });
+        this.triggers.forEach(trigger => {
+            if (trigger.contains(bodyToRemove)) this.exitTrigger(trigger, bodyToRemove);
+        });
     }
 
 
 
     _applyCandyConstraints(body) {
-        // Skip bounds constraints for candies being dispensed - they need to move outside container
-        if (!body.isBeingDispensed && this.candyBounds && this.candyBounds.min && this.candyBounds.max) {
-            // Keep candy within container bounds only when not being dispensed
+        // only called for bodies in the candy region, the one being dispensed has no region so it can leave the container
+        if (this.candyBounds && this.candyBounds.min && this.candyBounds.max) {
+            // Keep candy within container bounds
             body.position.x = Math.max(this.candyBounds.min.x, Math.min(this.candyBounds.max.x, body.position.x));
             body.position.y = Math.max(this.candyBounds.min.y, Math.min(this.candyBounds.max.y, body.position.y));
             body.position.z = Math.max(this.candyBounds.min.z, Math.min(this.candyBounds.max.z, body.position.z));
@@ -543,7 +1500,7 @@ spendStarAsCoin() {
 
 
         //si applica solo se la caramella NON è quella in fase di erogazione.
-        if (this.dispenserCenter && !body.isBeingDispensed) {
+        if (this.dispenserCenter) {
             const dx = body.position.x - this.dispenserCenter.x;
             const dz = body.position.z - this.dispenserCenter.z;
             const distanceSq = dx * dx + dz * dz;
@@ -573,9 +1530,9 @@ spendStarAsCoin() {
 
     _applyPrizeConstraints(body) {
         // Chute safety zone for prize objects (stars)
-        // Only apply to objects that are likely to be loose stars (not held, not being released, not sleeping)
+        // Only apply to objects that are likely to be loose stars (not held, not sleeping), released ones have no region
         // Also skip if object has very low kinetic energy (likely settled)
-        if (this.chuteCenter && !body.isHeld && !body.isBeingReleased && !body.isSleeping) {
+        if (this.chuteCenter && !body.isHeld && !body.isGripped && !body.isSleeping) {
             const dx = body.position.x - this.chuteCenter.x;
             const dz = body.position.z - this.chuteCenter.z;
             const distanceSq = dx * dx + dz * dz;
@@ -608,6 +1565,84 @@ spendStarAsCoin() {
 
 
 
+// scratch objects for the static collider queries, reused every step
+const _scaleColumn = new THREE.Vector3();
+const _localPoint = new THREE.Vector3();
+const _worldPoint = new THREE.Vector3();
+const _hitPoint = new THREE.Vector3();
+const _faceNormal = new THREE.Vector3();
+const _centerOffset = new THREE.Vector3();
+const _closestHit = { point: new THREE.Vector3(), distance: 0, faceIndex: 0 };
+const _rotationMatrix = new THREE.Matrix3();
+const _rotationMatrix4 = new THREE.Matrix4();
+const _triangle = new THREE.Triangle();
+
+// scratch objects and limits for the body-vs-body manifold
+const MAX_CONTACT_SAMPLES = 32; // intersecting triangle pairs used to build one contact
+const BODY_CONTACT_SAMPLES = 256; // vertices used to measure the depth
+const _matrixA = new THREE.Matrix4();
+const _bToA = new THREE.Matrix4();
+const _segment = new THREE.Line3();
+const _normalA = new THREE.Vector3();
+const _normalB = new THREE.Vector3();
+const _bodyBox = new THREE.Box3();
+// swept sphere (CCD) scratch
+const MAX_SWEEP_SUBSTEPS = 32; // sphere tests along one sweep, per collider
+const SWEEP_BISECTIONS = 5; // refinement of the time of impact
+const _sweepStart = new Vec3();
+const _sweepDelta = new Vec3();
+const _sweepPoint = new Vec3();
+const _sweepBox = new THREE.Box3();
+const _sweepSphere = new THREE.Sphere();
+
+//RigidBody flags saved in snapshots
+export const SERIALIZED_FLAGS = ['isHeld', 'isGripped', 'isBlocked', 'canFallThrough', 'isBeingDispensed', 'isBeingReleased', 'justReleased', 'hasTouchedClaw', 'isAnimating', 'collisionEnabled'];
+
+//vectors as arrays for JSON, infinite values (open sides of a bounds region) are written as strings
+function vectorToArray(v) {
+    return [v.x, v.y, v.z].map(value => Number.isFinite(value) ? value : String(value));
+}
+
+function arrayToVector(array) {
+    return new Vec3(Number(array[0]), Number(array[1]), Number(array[2]));
+}
+
+function boundsToJSON(bounds) {
+    return { min: vectorToArray(bounds.min), max: vectorToArray(bounds.max) };
+}
+
+function boundsFromJSON(json) {
+    return { min: arrayToVector(json.min), max: arrayToVector(json.max) };
+}
+
+//listener lists for the engine events, add returns the function that removes the callback
+//same key whatever the order of the two bodies
+function getPairKey(A, B) {
+    return A.id < B.id ? `${A.id}:${B.id}` : `${B.id}:${A.id}`;
+}
+
+function addListener(list, callback) {
+    list.push(callback);
+    return () => {
+        const index = list.indexOf(callback);
+        if (index !== -1) list.splice(index, 1);
+    };
+}
+
+function emit(list, event) {
+    //copy so a callback can unsubscribe itself while we are iterating
+    list.slice().forEach(callback => callback(event));
+}
+
+function getTriangleNormal(geometry, faceIndex, target) {
+    const index = geometry.index;
+    const i0 = index ? index.getX(faceIndex * 3) : faceIndex * 3;
+    const i1 = index ? index.getX(faceIndex * 3 + 1) : faceIndex * 3 + 1;
+    const i2 = index ? index.getX(faceIndex * 3 + 2) : faceIndex * 3 + 2;
+    _triangle.setFromAttributeAndIndices(geometry.attributes.position, i0, i1, i2);
+    return _triangle.getNormal(target);
+}
+
 export const CLAW_CONFIG = {
 
     STOP_ROT_RAD: 0.7,
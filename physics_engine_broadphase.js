@@ -0,0 +1,245 @@
+/*
+broad phase for the physics engine: finds the pairs of bodies whose AABBs overlap, the narrow phase (BVH)
+then only runs on those pairs instead of on every n² combination.
+
+two implementations with the same interface:
+  findPairs(bodies, canCollide, canCollidePair) -> array of [A, B] pairs, reused by the next call
+  (canCollide filters single bodies, canCollidePair the pairs before the AABB test)
+  pairsTested -> how many AABB overlap tests were done in the last call
+
+the AABB of a body is the box around its bounding sphere. all the buffers are kept between frames and only
+grow when more bodies are added, so a step does not allocate anything
+*/
+
+//shared pool of [A, B] pairs, the array returned by findPairs is truncated and refilled every call
+class PairList {
+    constructor() {
+        this.pairs = [];
+        this.pool = [];
+    }
+
+    reset() {
+        this.pairs.length = 0;
+    }
+
+    push(A, B) {
+        const index = this.pairs.length;
+        if (index === this.pool.length) this.pool.push([null, null]);
+        const pair = this.pool[index];
+        pair[0] = A;
+        pair[1] = B;
+        this.pairs.push(pair);
+    }
+}
+
+//per-body AABBs packed in typed arrays (minX, minY, minZ, maxX, maxY, maxZ), grown on demand
+class BodyBounds {
+    constructor() {
+        this.capacity = 0;
+        this.boxes = new Float32Array(0);
+        this.active = new Uint8Array(0);
+    }
+
+    update(bodies, canCollide) {
+        if (bodies.length > this.capacity) {
+            this.capacity = Math.max(bodies.length, this.capacity * 2);
+            this.boxes = new Float32Array(this.capacity * 6);
+            this.active = new Uint8Array(this.capacity);
+        }
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            const r = body.boundingRadius;
+            const o = i * 6;
+            this.boxes[o] = body.position.x - r;
+            this.boxes[o + 1] = body.position.y - r;
+            this.boxes[o + 2] = body.position.z - r;
+            this.boxes[o + 3] = body.position.x + r;
+            this.boxes[o + 4] = body.position.y + r;
+            this.boxes[o + 5] = body.position.z + r;
+            this.active[i] = canCollide(body) ? 1 : 0;
+        }
+    }
+
+    overlaps(i, j) {
+        const a = i * 6, b = j * 6, box = this.boxes;
+        return box[a] <= box[b + 3] && box[a + 3] >= box[b] &&
+            box[a + 1] <= box[b + 4] && box[a + 4] >= box[b + 1] &&
+            box[a + 2] <= box[b + 5] && box[a + 5] >= box[b + 2];
+    }
+}
+
+/*
+sweep and prune on the x axis:
+bodies are kept sorted by the min x of their AABB. the order barely changes from one step to the next
+(objects move a little), so an insertion sort on the previous order is almost linear.
+then we sweep: for each body only the following ones whose min x is before its max x can overlap
+*/
+export class SweepAndPruneBroadPhase {
+    constructor() {
+        this.bounds = new BodyBounds();
+        this.order = new Int32Array(0); //body indices sorted by min x
+        this.orderLength = 0;
+        this.pairList = new PairList();
+        this.pairsTested = 0;
+    }
+
+    findPairs(bodies, canCollide, canCollidePair = null) {
+        const count = bodies.length;
+        this.bounds.update(bodies, canCollide);
+        this.syncOrder(count);
+
+        //insertion sort by min x
+        const order = this.order;
+        const boxes = this.bounds.boxes;
+        for (let i = 1; i < count; i++) {
+            const index = order[i];
+            const minX = boxes[index * 6];
+            let j = i - 1;
+            while (j >= 0 && boxes[order[j] * 6] > minX) {
+                order[j + 1] = order[j];
+                j--;
+            }
+            order[j + 1] = index;
+        }
+
+        this.pairList.reset();
+        this.pairsTested = 0;
+        const active = this.bounds.active;
+        for (let i = 0; i < count; i++) {
+            const a = order[i];
+            if (!active[a]) continue;
+            const maxX = boxes[a * 6 + 3];
+            for (let j = i + 1; j < count; j++) {
+                const b = order[j];
+                if (boxes[b * 6] > maxX) break; //sorted: nothing after this can overlap on x
+                if (!active[b]) continue;
+                if (canCollidePair && !canCollidePair(bodies[a], bodies[b])) continue;
+                this.pairsTested++;
+                if (this.bounds.overlaps(a, b)) this.pairList.push(bodies[a], bodies[b]);
+            }
+        }
+        return this.pairList.pairs;
+    }
+
+    //keeps the previous order when the body count is the same, rebuilds it when bodies were added or removed
+    syncOrder(count) {
+        if (count === this.orderLength) return;
+        if (count > this.order.length) this.order = new Int32Array(Math.max(count, this.order.length * 2));
+        for (let i = 0; i < count; i++) this.order[i] = i;
+        this.orderLength = count;
+    }
+}
+
+/*
+uniform grid hashed in a fixed table (counting sort, no Map and no per-frame arrays):
+1. every body is inserted in all the cells touched by its AABB
+2. for each body, the other bodies found in its cells are tested
+a pair sharing several cells is only reported in the first cell of their overlap region, so no duplicates
+*/
+export class SpatialHashBroadPhase {
+    constructor({ cellSize = 0.3, tableSize = 1024 } = {}) {
+        this.cellSize = cellSize;
+        this.inverseCellSize = 1 / cellSize;
+        this.tableSize = tableSize;
+        this.bounds = new BodyBounds();
+        this.cellStart = new Int32Array(tableSize + 1);
+        this.cellFill = new Int32Array(tableSize);
+        this.lastBody = new Int32Array(tableSize);
+        this.entries = new Int32Array(0);
+        this.cellRanges = new Int32Array(0); //min and max cell coordinates of each body
+        this.pairList = new PairList();
+        this.pairsTested = 0;
+        //bucket callbacks created once, not every frame
+        this.countEntry = bucket => { this.cellStart[bucket + 1]++; };
+        this.insertEntry = (bucket, i) => { this.entries[this.cellFill[bucket]++] = i; };
+    }
+
+    hash(x, y, z) {
+        //large primes, the usual spatial hashing function
+        const h = (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) % this.tableSize;
+        return h < 0 ? h + this.tableSize : h;
+    }
+
+    findPairs(bodies, canCollide, canCollidePair = null) {
+        const count = bodies.length;
+        this.bounds.update(bodies, canCollide);
+        if (this.cellRanges.length < count * 6) this.cellRanges = new Int32Array(this.bounds.capacity * 6);
+
+        const boxes = this.bounds.boxes;
+        const active = this.bounds.active;
+        const ranges = this.cellRanges;
+        for (let i = 0; i < count; i++) {
+            for (let k = 0; k < 6; k++) ranges[i * 6 + k] = Math.floor(boxes[i * 6 + k] * this.inverseCellSize);
+        }
+
+        //1. count the entries of every bucket, then prefix sum, then fill
+        this.cellStart.fill(0);
+        this.forEachCell(count, this.countEntry);
+        for (let b = 0; b < this.tableSize; b++) this.cellStart[b + 1] += this.cellStart[b];
+        const total = this.cellStart[this.tableSize];
+        if (this.entries.length < total) this.entries = new Int32Array(Math.max(total, this.entries.length * 2));
+        for (let b = 0; b < this.tableSize; b++) this.cellFill[b] = this.cellStart[b];
+        this.forEachCell(count, this.insertEntry);
+
+        //2. test the bodies sharing a bucket
+        this.pairList.reset();
+        this.pairsTested = 0;
+        for (let i = 0; i < count; i++) {
+            if (!active[i]) continue;
+            const r = i * 6;
+            for (let x = ranges[r]; x <= ranges[r + 3]; x++) {
+                for (let y = ranges[r + 1]; y <= ranges[r + 4]; y++) {
+                    for (let z = ranges[r + 2]; z <= ranges[r + 5]; z++) {
+                        const bucket = this.hash(x, y, z);
+                        for (let e = this.cellStart[bucket]; e < this.cellStart[bucket + 1]; e++) {
+                            const j = this.entries[e];
+                            if (j <= i || !active[j]) continue;
+                            //report the pair only in the first cell of the overlap, bucket collisions are filtered here too
+                            const s = j * 6;
+                            if (x !== Math.max(ranges[r], ranges[s]) ||
+                                y !== Math.max(ranges[r + 1], ranges[s + 1]) ||
+                                z !== Math.max(ranges[r + 2], ranges[s + 2])) continue;
+                            if (canCollidePair && !canCollidePair(bodies[i], bodies[j])) continue;
+                            this.pairsTested++;
+                            if (this.bounds.overlaps(i, j)) this.pairList.push(bodies[i], bodies[j]);
+                        }
+                    }
+                }
+            }
+        }
+        return this.pairList.pairs;
+    }
+
+    //calls fn(bucket, bodyIndex) once per bucket touched by each active body
+    forEachCell(count, fn) {
+        const ranges = this.cellRanges;
+        this.lastBody.fill(-1);
+        for (let i = 0; i < count; i++) {
+            if (!this.bounds.active[i]) continue;
+            const r = i * 6;
+            for (let x = ranges[r]; x <= ranges[r + 3]; x++) {
+                for (let y = ranges[r + 1]; y <= ranges[r + 4]; y++) {
+                    for (let z = ranges[r + 2]; z <= ranges[r + 5]; z++) {
+                        const bucket = this.hash(x, y, z);
+                        //two cells of the same body can hash to the same bucket, we insert it only once
+                        if (this.lastBody[bucket] === i) continue;
+                        this.lastBody[bucket] = i;
+                        fn(bucket, i);
+                    }
+                }
+            }
+        }
+    }
+}
+
+//builds the broad phase from the name passed to the PhysicsEngine constructor
+export function createBroadPhase(type, options = {}) {
+    switch (type) {
+        case 'spatialHash':
+            return new SpatialHashBroadPhase(options);
+        case 'sweepAndPrune':
+            return new SweepAndPruneBroadPhase();
+        default:
+            throw new Error(`Unknown broad phase: ${type}`);
+    }
+}
@@ -0,0 +1,667 @@
+// also loaded by the physics worker, see physics_engine_three.js
+import THREE from './physics_engine_three.js';
+import { Vec3 } from './physics_engine_vec3.js';
+
+/*
+joints between two rigid bodies, or between a body and the world (bodyB = null), solved by
+PhysicsEngine.solveJoints with sequential impulses:
+- prepare(): once per step, world anchors, effective masses and position errors of every row of the joint,
+  then the impulses accumulated in the previous step are applied again (warm starting: the solver starts from
+  last step's answer, so a chain or a hanging claw converges in a few iterations instead of sagging)
+- solve(): called jointIterations times per step, each row corrects the relative velocity of the two bodies
+  along its direction. the position error is fed back as a velocity bias (baumgarte), there is no position pass
+
+anchors are in the local space of each body. with bodyB = null, anchorB is a point in world space that gameplay
+can move (setWorldAnchor), e.g. the top of the claw cable following the gantry.
+the velocity of a world anchor is measured from how much it moved since the last step, so a body hanging from it is
+dragged along without lagging behind (setWorldAnchor(point, true) teleports it instead).
+bodies that are not simulated (held, blocked, sleeping, static) have infinite mass for the joints: gameplay moves
+them and the other body follows. if a joint gets stretched, its sleeping bodies are woken up.
+when an anchor is omitted the joint is built in the current pose (anchorB is the same world point as anchorA)
+
+ball-socket, hinge and fixed joints can have a maxForce (and the fixed one a maxTorque): the joint never pushes
+harder than that, and when it would need to it slips, i.e. it holds again from wherever the bodies slid to.
+this is static friction, e.g. a prize squeezed by the claw fingers (see claw_grip.js)
+*/
+
+const BAUMGARTE = 0.2; //fraction of the position error removed every step
+const LINEAR_SLOP = 0.001; //errors below these are left alone so resting joints do not jitter
+const ANGULAR_SLOP = 0.005;
+const MAX_BIAS_SPEED = 2; //m/s (rad/s for the angular rows), a very stretched joint is pulled back smoothly
+const WAKE_ERROR = 0.005;
+
+let nextJointId = 0;
+
+class Joint {
+    constructor(type, bodyA, bodyB, { anchorA, anchorB, collideConnected = false, enabled = true, maxForce = Infinity, maxTorque = Infinity } = {}) {
+        this.id = nextJointId++;
+        this.type = type;
+        this.bodyA = bodyA;
+        this.bodyB = bodyB;
+        this.localAnchorA = anchorA ? toVec3(anchorA) : new Vec3();
+        this.localAnchorB = anchorB ? toVec3(anchorB) : toLocal(bodyB, toWorld(bodyA, this.localAnchorA, new Vec3()), new Vec3());
+        this.collideConnected = collideConnected; //false: the two bodies do not collide with each other
+        this.enabled = enabled;
+        this.maxForce = maxForce;
+        this.maxTorque = maxTorque;
+        this.revision = 0; //bumped by every setter, so a copy of the joint (physics worker) knows when to update
+
+        //slip state, it stays with the joint that is solved (it is not part of toJSON)
+        this.isSlipping = false;
+        this.slipOffsetA = new Vec3(); //added to localAnchorA
+        this.slipRotation = new THREE.Quaternion(); //applied after relativeOrientation (fixed joint)
+
+        this.anchorVelocity = new Vec3(); //of the world anchor
+        this.previousWorldAnchor = bodyB ? null : this.localAnchorB.clone();
+
+        //data of the current step
+        this.rA = new Vec3();
+        this.rB = new Vec3();
+        this.worldAnchorA = new Vec3();
+        this.worldAnchorB = new Vec3();
+    }
+
+    //only for joints attached to the world
+    setWorldAnchor(point, teleport = false) {
+        this.localAnchorB.copy(point);
+        if (teleport) this.previousWorldAnchor.copy(point);
+        this.revision++;
+    }
+
+    setMaxForce(maxForce, maxTorque = this.maxTorque) {
+        this.maxForce = maxForce;
+        this.maxTorque = maxTorque;
+        this.revision++;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.revision++;
+    }
+
+    //start of prepare(): a joint that slipped in the last step holds again from the current pose
+    beginStep(deltaTime) {
+        if (this.isSlipping) {
+            this.isSlipping = false;
+            this.slipOffsetA.set(0, 0, 0);
+            this.prepareAnchors();
+            toLocal(this.bodyA, this.worldAnchorB, this.slipOffsetA).sub(this.localAnchorA);
+        }
+        this.prepareAnchors();
+
+        if (!this.bodyB) {
+            this.anchorVelocity.copy(this.localAnchorB).sub(this.previousWorldAnchor).multiplyScalar(1 / deltaTime);
+            this.previousWorldAnchor.copy(this.localAnchorB);
+        }
+    }
+
+    prepareAnchors() {
+        rotate(this.bodyA, _anchor.copy(this.localAnchorA).add(this.slipOffsetA), this.rA);
+        rotate(this.bodyB, this.localAnchorB, this.rB);
+        this.worldAnchorA.copy(this.rA).add(this.bodyA.position);
+        toWorld(this.bodyB, this.localAnchorB, this.worldAnchorB);
+    }
+
+    wakeIfStretched(error) {
+        if (error < WAKE_ERROR) return;
+        wake(this.bodyA);
+        wake(this.bodyB);
+    }
+
+    //plain JSON description, enough to rebuild the joint with createJoint()
+    toJSON() {
+        return {
+            type: this.type,
+            bodyA: this.bodyA.id,
+            bodyB: this.bodyB ? this.bodyB.id : null,
+            anchorA: toArray(this.localAnchorA),
+            anchorB: toArray(this.localAnchorB),
+            collideConnected: this.collideConnected,
+            enabled: this.enabled,
+            maxForce: this.maxForce,
+            maxTorque: this.maxTorque,
+            ...this.getParams()
+        };
+    }
+
+    getParams() {
+        return {};
+    }
+
+    setParams() {}
+
+    //updates an existing joint from toJSON() (the bodies can not change)
+    fromJSON(data) {
+        this.localAnchorA.copy(toVec3(data.anchorA));
+        this.localAnchorB.copy(toVec3(data.anchorB));
+        this.enabled = data.enabled;
+        this.maxForce = data.maxForce;
+        this.maxTorque = data.maxTorque;
+        this.setParams(data);
+    }
+}
+
+/*
+keeps the distance between the two anchors between minLength and maxLength.
+minLength = maxLength is a rigid rod, minLength = 0 a rope (it only pulls)
+*/
+export class DistanceJoint extends Joint {
+    constructor(bodyA, bodyB, options = {}) {
+        super('distance', bodyA, bodyB, options);
+        const length = options.length ?? this.getCurrentLength();
+        this.minLength = options.minLength ?? length;
+        this.maxLength = options.maxLength ?? length;
+
+        this.normal = new Vec3();
+        this.length = 0;
+        this.mass = 0;
+        this.impulse = 0; //accumulated along normal, positive pushes the anchors apart
+    }
+
+    getCurrentLength() {
+        this.prepareAnchors();
+        return new Vec3().copy(this.worldAnchorB).sub(this.worldAnchorA).length();
+    }
+
+    setLength(minLength, maxLength = minLength) {
+        this.minLength = minLength;
+        this.maxLength = maxLength;
+        this.revision++;
+    }
+
+    getParams() {
+        return { minLength: this.minLength, maxLength: this.maxLength };
+    }
+
+    setParams({ minLength, maxLength }) {
+        this.minLength = minLength;
+        this.maxLength = maxLength;
+    }
+
+    prepare(deltaTime, warmStarting) {
+        this.beginStep(deltaTime);
+        this.normal.copy(this.worldAnchorB).sub(this.worldAnchorA);
+        this.length = this.normal.length();
+        if (this.length > 1e-6) this.normal.multiplyScalar(1 / this.length);
+        else this.normal.set(0, 1, 0);
+
+        this.error = this.length > this.maxLength ? this.length - this.maxLength
+            : this.length < this.minLength ? this.length - this.minLength : 0;
+        this.wakeIfStretched(Math.abs(this.error));
+
+        const k = getPointInverseMass(this.bodyA, this.rA, this.normal) + getPointInverseMass(this.bodyB, this.rB, this.normal);
+        this.mass = k > 0 ? 1 / k : 0;
+        this.bias = getBias(this.error, LINEAR_SLOP, deltaTime);
+
+        //a rope that is slack has nothing to do
+        this.isRigid = this.maxLength - this.minLength < LINEAR_SLOP;
+        if (!warmStarting || (!this.isRigid && this.error === 0)) this.impulse = 0;
+        applyLinearImpulse(this, _impulse.copy(this.normal).multiplyScalar(this.impulse));
+    }
+
+    solve() {
+        if (!this.isRigid && this.error === 0) return;
+        const relativeSpeed = getRelativeVelocity(this, _velocity).dot(this.normal);
+        let lambda = -this.mass * (relativeSpeed + this.bias);
+
+        //too long: it can only pull (negative impulse), too short: it can only push
+        const previous = this.impulse;
+        if (this.isRigid) this.impulse += lambda;
+        else if (this.error > 0) this.impulse = Math.min(previous + lambda, 0);
+        else this.impulse = Math.max(previous + lambda, 0);
+        lambda = this.impulse - previous;
+
+        applyLinearImpulse(this, _impulse.copy(this.normal).multiplyScalar(lambda));
+    }
+}
+
+//the two anchors are kept on the same point, the bodies rotate freely around it
+export class BallSocketJoint extends Joint {
+    constructor(bodyA, bodyB, options = {}) {
+        super('ballSocket', bodyA, bodyB, options);
+        this.point = new PointConstraint();
+    }
+
+    prepare(deltaTime, warmStarting) {
+        this.beginStep(deltaTime);
+        this.point.prepare(this, deltaTime, warmStarting);
+    }
+
+    solve() {
+        this.point.solve(this);
+    }
+}
+
+/*
+ball-socket plus the rotation locked to one axis (axis is in world space, taken in the current pose).
+the angle is 0 in the pose where the joint is created, it grows when bodyB turns counterclockwise around the axis
+relative to bodyA. optional limits (radians) and motor (target angular speed, reached with at most maxMotorTorque)
+*/
+export class HingeJoint extends Joint {
+    constructor(bodyA, bodyB, options = {}) {
+        super('hinge', bodyA, bodyB, options);
+        const axis = toVec3(options.axis ?? [0, 1, 0]).normalize();
+        const reference = getPerpendicular(axis, new Vec3());
+        this.localAxisA = options.localAxisA ? toVec3(options.localAxisA) : toLocalDirection(bodyA, axis, new Vec3());
+        this.localAxisB = options.localAxisB ? toVec3(options.localAxisB) : toLocalDirection(bodyB, axis, new Vec3());
+        this.localReferenceA = options.localReferenceA ? toVec3(options.localReferenceA) : toLocalDirection(bodyA, reference, new Vec3());
+        this.localReferenceB = options.localReferenceB ? toVec3(options.localReferenceB) : toLocalDirection(bodyB, reference, new Vec3());
+        this.setParams({
+            limitsEnabled: options.lowerAngle !== undefined || options.upperAngle !== undefined,
+            lowerAngle: options.lowerAngle ?? -Infinity,
+            upperAngle: options.upperAngle ?? Infinity,
+            motorEnabled: options.motorSpeed !== undefined,
+            motorSpeed: options.motorSpeed ?? 0,
+            maxMotorTorque: options.maxMotorTorque ?? Infinity,
+            ...options
+        });
+
+        this.point = new PointConstraint();
+        this.axis = new Vec3();
+        this.alignAxes = [new AngularRow(), new AngularRow()];
+        this.lowerRow = new AngularRow();
+        this.upperRow = new AngularRow();
+        this.motorRow = new AngularRow();
+        this.angle = 0;
+    }
+
+    setLimits(lowerAngle, upperAngle) {
+        this.limitsEnabled = true;
+        this.lowerAngle = lowerAngle;
+        this.upperAngle = upperAngle;
+        this.revision++;
+    }
+
+    disableLimits() {
+        this.limitsEnabled = false;
+        this.revision++;
+    }
+
+    setMotor(speed, maxTorque = this.maxMotorTorque) {
+        this.motorEnabled = true;
+        this.motorSpeed = speed;
+        this.maxMotorTorque = maxTorque;
+        this.revision++;
+    }
+
+    disableMotor() {
+        this.motorEnabled = false;
+        this.revision++;
+    }
+
+    getParams() {
+        return {
+            localAxisA: toArray(this.localAxisA),
+            localAxisB: toArray(this.localAxisB),
+            localReferenceA: toArray(this.localReferenceA),
+            localReferenceB: toArray(this.localReferenceB),
+            limitsEnabled: this.limitsEnabled,
+            lowerAngle: this.lowerAngle,
+            upperAngle: this.upperAngle,
+            motorEnabled: this.motorEnabled,
+            motorSpeed: this.motorSpeed,
+            maxMotorTorque: this.maxMotorTorque
+        };
+    }
+
+    setParams({ limitsEnabled, lowerAngle, upperAngle, motorEnabled, motorSpeed, maxMotorTorque }) {
+        this.limitsEnabled = limitsEnabled;
+        this.lowerAngle = lowerAngle;
+        this.upperAngle = upperAngle;
+        this.motorEnabled = motorEnabled;
+        this.motorSpeed = motorSpeed;
+        this.maxMotorTorque = maxMotorTorque;
+    }
+
+    //current angle of bodyB around the axis relative to bodyA, in (-π, π]
+    getAngle() {
+        rotate(this.bodyA, this.localAxisA, _axisA);
+        rotate(this.bodyA, this.localReferenceA, _referenceA);
+        rotate(this.bodyB, this.localReferenceB, _referenceB);
+        return Math.atan2(_referenceA.cross(_referenceB).dot(_axisA), _referenceA.dot(_referenceB));
+    }
+
+    prepare(deltaTime, warmStarting) {
+        //a running motor keeps its bodies awake
+        if (this.motorEnabled && this.motorSpeed !== 0) {
+            wake(this.bodyA);
+            wake(this.bodyB);
+        }
+        this.beginStep(deltaTime);
+        this.point.prepare(this, deltaTime, warmStarting);
+
+        //the axis of B is kept perpendicular to two directions that are perpendicular to the axis of A
+        rotate(this.bodyA, this.localAxisA, this.axis);
+        rotate(this.bodyB, this.localAxisB, _axisB);
+        getPerpendicular(this.axis, _tangent);
+        _bitangent.crossVectors(this.axis, _tangent);
+        [_tangent, _bitangent].forEach((direction, i) => {
+            const row = this.alignAxes[i];
+            row.prepare(this, _direction.crossVectors(_axisB, direction), _axisB.dot(direction), deltaTime, warmStarting);
+        });
+
+        this.angle = this.getAngle();
+        if (this.limitsEnabled) {
+            //the rows are always active: far from the limit the bias lets the hinge turn up to it in one step
+            this.lowerRow.prepare(this, this.axis, this.angle - this.lowerAngle, deltaTime, warmStarting, true);
+            this.upperRow.prepare(this, _direction.copy(this.axis).multiplyScalar(-1), this.upperAngle - this.angle, deltaTime, warmStarting, true);
+        }
+        if (this.motorEnabled) {
+            this.motorRow.prepare(this, this.axis, 0, deltaTime, warmStarting);
+            this.motorRow.bias = -this.motorSpeed;
+            this.maxMotorImpulse = this.maxMotorTorque * deltaTime;
+        }
+    }
+
+    solve() {
+        if (this.motorEnabled) this.motorRow.solve(this, -this.maxMotorImpulse, this.maxMotorImpulse);
+        if (this.limitsEnabled) {
+            this.lowerRow.solve(this, 0, Infinity);
+            this.upperRow.solve(this, 0, Infinity);
+        }
+        this.alignAxes.forEach(row => row.solve(this, -Infinity, Infinity));
+        this.point.solve(this);
+    }
+}
+
+//no relative motion at all, bodyB keeps the position and orientation it has relative to bodyA at creation
+export class FixedJoint extends Joint {
+    constructor(bodyA, bodyB, options = {}) {
+        super('fixed', bodyA, bodyB, options);
+        //orientation of B in the space of A
+        this.relativeOrientation = options.relativeOrientation
+            ? new THREE.Quaternion().fromArray(options.relativeOrientation)
+            : getOrientation(bodyA).clone().invert().multiply(getOrientation(bodyB));
+
+        this.point = new PointConstraint();
+        this.angularMass = new THREE.Matrix3();
+        this.angularBias = new Vec3();
+        this.angularImpulse = new Vec3();
+    }
+
+    getParams() {
+        const q = this.relativeOrientation;
+        return { relativeOrientation: [q.x, q.y, q.z, q.w] };
+    }
+
+    setParams({ relativeOrientation }) {
+        this.relativeOrientation.fromArray(relativeOrientation);
+    }
+
+    prepare(deltaTime, warmStarting) {
+        //after a slip the current relative orientation is the new target
+        if (this.isSlipping) {
+            this.slipRotation.multiply(this.getTargetOrientation(_orientation).invert().multiply(getOrientation(this.bodyB)));
+        }
+        this.beginStep(deltaTime);
+        this.point.prepare(this, deltaTime, warmStarting);
+
+        //rotation from the target orientation of B to the current one, as a small angle vector
+        this.getTargetOrientation(_orientation).invert().premultiply(getOrientation(this.bodyB));
+        const sign = _orientation.w < 0 ? -2 : 2;
+        const error = _direction.set(_orientation.x * sign, _orientation.y * sign, _orientation.z * sign);
+        this.wakeIfStretched(error.length());
+        this.angularBias.copy(error).multiplyScalar(Math.min(BAUMGARTE / deltaTime, MAX_BIAS_SPEED / Math.max(error.length(), 1e-6)));
+
+        //K = I⁻¹A + I⁻¹B
+        const elements = this.angularMass.elements;
+        elements.fill(0);
+        [this.bodyA, this.bodyB].forEach(body => {
+            if (getInverseMass(body) === 0) return;
+            body.inverseInertiaWorld.elements.forEach((value, i) => { elements[i] += value; });
+        });
+        invertMatrix(this.angularMass);
+
+        this.maxAngularImpulse = this.maxTorque * deltaTime;
+        if (!warmStarting) this.angularImpulse.set(0, 0, 0);
+        clampLength(this.angularImpulse, this.maxAngularImpulse);
+        applyAngularImpulse(this, this.angularImpulse);
+    }
+
+    //orientation B should have: the one of A, then the relative one, then what it slipped
+    getTargetOrientation(target) {
+        return target.copy(getOrientation(this.bodyA)).multiply(this.relativeOrientation).multiply(this.slipRotation);
+    }
+
+    solve() {
+        const relativeSpeed = getAngularVelocity(this.bodyB, _velocity).sub(getAngularVelocity(this.bodyA, _relative));
+        relativeSpeed.add(this.angularBias).multiplyScalar(-1);
+        const lambda = multiplyMatrix(this.angularMass, relativeSpeed, _impulse);
+        _previous.copy(this.angularImpulse);
+        this.angularImpulse.add(lambda);
+        if (clampLength(this.angularImpulse, this.maxAngularImpulse)) this.isSlipping = true;
+        applyAngularImpulse(this, lambda.copy(this.angularImpulse).sub(_previous));
+        this.point.solve(this);
+    }
+}
+
+const JOINT_TYPES = {
+    distance: DistanceJoint,
+    ballSocket: BallSocketJoint,
+    hinge: HingeJoint,
+    fixed: FixedJoint
+};
+
+//rebuilds a joint from toJSON(), getBody(id) maps the body ids back to the bodies
+export function createJoint(data, getBody) {
+    const JointType = JOINT_TYPES[data.type];
+    if (!JointType) throw new Error(`Unknown joint type: ${data.type}`);
+    return new JointType(getBody(data.bodyA), data.bodyB === null ? null : getBody(data.bodyB), data);
+}
+
+//3 rows that keep the two anchors together (ball-socket part of the hinge and fixed joints too)
+class PointConstraint {
+    constructor() {
+        this.mass = new THREE.Matrix3();
+        this.bias = new Vec3();
+        this.impulse = new Vec3();
+    }
+
+    prepare(joint, deltaTime, warmStarting) {
+        const error = _direction.copy(joint.worldAnchorB).sub(joint.worldAnchorA);
+        const length = error.length();
+        joint.wakeIfStretched(length);
+        this.bias.copy(error).multiplyScalar(length > 1e-9 ? getBias(length, LINEAR_SLOP, deltaTime) / length : 0);
+
+        //K = (1/mA + 1/mB) * 1 - [rA]x I⁻¹A [rA]x - [rB]x I⁻¹B [rB]x, built one column at a time
+        const elements = this.mass.elements; //column major
+        BASIS.forEach((direction, column) => {
+            const k = getPointResponse(joint.bodyA, joint.rA, direction, _velocity).add(getPointResponse(joint.bodyB, joint.rB, direction, _relative));
+            elements[column * 3] = k.x;
+            elements[column * 3 + 1] = k.y;
+            elements[column * 3 + 2] = k.z;
+        });
+        invertMatrix(this.mass);
+
+        this.maxImpulse = joint.maxForce * deltaTime;
+        if (!warmStarting) this.impulse.set(0, 0, 0);
+        clampLength(this.impulse, this.maxImpulse);
+        applyLinearImpulse(joint, this.impulse);
+    }
+
+    solve(joint) {
+        const velocity = getRelativeVelocity(joint, _velocity).add(this.bias).multiplyScalar(-1);
+        const lambda = multiplyMatrix(this.mass, velocity, _impulse);
+        _previous.copy(this.impulse);
+        this.impulse.add(lambda);
+        if (clampLength(this.impulse, this.maxImpulse)) joint.isSlipping = true;
+        applyLinearImpulse(joint, lambda.copy(this.impulse).sub(_previous));
+    }
+}
+
+//one angular row: relative angular velocity (B - A) along direction, with the error C of the row
+class AngularRow {
+    constructor() {
+        this.direction = new Vec3();
+        this.mass = 0;
+        this.bias = 0;
+        this.impulse = 0;
+    }
+
+    //speculative rows (limits) have a positive error far from the limit: they let the joint move up to it
+    prepare(joint, direction, error, deltaTime, warmStarting, speculative = false) {
+        if (!speculative) joint.wakeIfStretched(Math.abs(error));
+        this.direction.copy(direction);
+        const k = getAngularInverseMass(joint.bodyA, direction) + getAngularInverseMass(joint.bodyB, direction);
+        this.mass = k > 0 ? 1 / k : 0;
+        this.bias = speculative && error > 0 ? error / deltaTime : getBias(error, ANGULAR_SLOP, deltaTime);
+
+        if (!warmStarting) this.impulse = 0;
+        applyAngularImpulse(joint, _impulse.copy(this.direction).multiplyScalar(this.impulse));
+    }
+
+    solve(joint, minImpulse, maxImpulse) {
+        const relativeSpeed = getAngularVelocity(joint.bodyB, _velocity).sub(getAngularVelocity(joint.bodyA, _relative)).dot(this.direction);
+        const previous = this.impulse;
+        this.impulse = Math.min(Math.max(previous - this.mass * (relativeSpeed + this.bias), minImpulse), maxImpulse);
+        applyAngularImpulse(joint, _impulse.copy(this.direction).multiplyScalar(this.impulse - previous));
+    }
+}
+
+//velocity bias that removes BAUMGARTE of the error (beyond the slop) in one step
+function getBias(error, slop, deltaTime) {
+    const excess = error > 0 ? Math.max(error - slop, 0) : Math.min(error + slop, 0);
+    return Math.max(-MAX_BIAS_SPEED, Math.min(MAX_BIAS_SPEED, BAUMGARTE * excess / deltaTime));
+}
+
+//the joints only move simulated bodies, the others (and the world) are anchors with infinite mass
+function getInverseMass(body) {
+    return body && body.isSimulated() ? body.inverseMass : 0;
+}
+
+function getPointInverseMass(body, r, direction) {
+    if (getInverseMass(body) === 0) return 0;
+    return body.inverseMass + body.applyInverseInertia(r.cross(direction)).cross(r).dot(direction);
+}
+
+//velocity change of the anchor point for a unit impulse along direction
+function getPointResponse(body, r, direction, target) {
+    if (getInverseMass(body) === 0) return target.set(0, 0, 0);
+    return target.copy(direction).multiplyScalar(body.inverseMass).add(body.applyInverseInertia(r.cross(direction)).cross(r));
+}
+
+function getAngularInverseMass(body, direction) {
+    if (getInverseMass(body) === 0) return 0;
+    return body.applyInverseInertia(direction).dot(direction);
+}
+
+function getPointVelocity(body, r, target) {
+    if (getInverseMass(body) === 0) return target.set(0, 0, 0);
+    return target.crossVectors(body.angularVelocity, r).add(body.linearVelocity);
+}
+
+function getAngularVelocity(body, target) {
+    if (getInverseMass(body) === 0) return target.set(0, 0, 0);
+    return target.copy(body.angularVelocity);
+}
+
+//velocity of anchor B relative to anchor A
+function getRelativeVelocity(joint, target) {
+    getPointVelocity(joint.bodyB, joint.rB, target).sub(getPointVelocity(joint.bodyA, joint.rA, _relative));
+    return joint.bodyB ? target : target.add(joint.anchorVelocity);
+}
+
+//scales v down to maxLength, returns true if it had to
+function clampLength(v, maxLength) {
+    const lengthSq = v.lengthSq();
+    if (lengthSq <= maxLength * maxLength) return false;
+    v.multiplyScalar(maxLength / Math.sqrt(lengthSq));
+    return true;
+}
+
+//impulse applied to B at its anchor, the opposite one to A. joint impulses do not wake bodies up, only errors do
+function applyLinearImpulse(joint, impulse) {
+    applyBodyImpulse(joint.bodyA, joint.rA, impulse, -1);
+    applyBodyImpulse(joint.bodyB, joint.rB, impulse, 1);
+}
+
+function applyBodyImpulse(body, r, impulse, sign) {
+    const inverseMass = getInverseMass(body);
+    if (inverseMass === 0) return;
+    body.linearVelocity.x += impulse.x * inverseMass * sign;
+    body.linearVelocity.y += impulse.y * inverseMass * sign;
+    body.linearVelocity.z += impulse.z * inverseMass * sign;
+    body.angularVelocity.add(body.applyInverseInertia(r.cross(impulse)).multiplyScalar(sign));
+}
+
+function applyAngularImpulse(joint, impulse) {
+    if (getInverseMass(joint.bodyA) > 0) joint.bodyA.angularVelocity.sub(joint.bodyA.applyInverseInertia(impulse));
+    if (getInverseMass(joint.bodyB) > 0) joint.bodyB.angularVelocity.add(joint.bodyB.applyInverseInertia(impulse));
+}
+
+function wake(body) {
+    if (!body || !body.isSleeping || body.inverseMass === 0) return;
+    body.isSleeping = false;
+    body.sleepyTimer = 0;
+}
+
+//the world is a body at the origin with no rotation
+function getOrientation(body) {
+    return body ? body.orientation : IDENTITY;
+}
+
+function rotate(body, local, target) {
+    return target.copy(local).applyQuaternion(getOrientation(body));
+}
+
+function toWorld(body, local, target) {
+    rotate(body, local, target);
+    return body ? target.add(body.position) : target;
+}
+
+function toLocal(body, world, target) {
+    target.copy(world);
+    if (!body) return target;
+    return target.sub(body.position).applyQuaternion(_orientation.copy(body.orientation).invert());
+}
+
+function toLocalDirection(body, direction, target) {
+    target.copy(direction);
+    return body ? target.applyQuaternion(_orientation.copy(body.orientation).invert()) : target;
+}
+
+//any unit vector perpendicular to v
+function getPerpendicular(v, target) {
+    if (Math.abs(v.x) < 0.57) target.set(0, v.z, -v.y);
+    else target.set(v.y, -v.x, 0);
+    return target.normalize();
+}
+
+//a singular matrix (both bodies with infinite mass) becomes zero, the rows then do nothing
+function invertMatrix(matrix) {
+    if (Math.abs(matrix.determinant()) < 1e-12) matrix.elements.fill(0);
+    else matrix.invert();
+}
+
+function multiplyMatrix(matrix, v, target) {
+    const e = matrix.elements; //column major
+    return target.set(
+        e[0] * v.x + e[3] * v.y + e[6] * v.z,
+        e[1] * v.x + e[4] * v.y + e[7] * v.z,
+        e[2] * v.x + e[5] * v.y + e[8] * v.z
+    );
+}
+
+function toVec3(v) {
+    return Array.isArray(v) ? new Vec3(v[0], v[1], v[2]) : new Vec3(v.x, v.y, v.z);
+}
+
+function toArray(v) {
+    return [v.x, v.y, v.z];
+}
+
+const IDENTITY = new THREE.Quaternion();
+const BASIS = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)];
+const _impulse = new Vec3();
+const _previous = new Vec3();
+const _anchor = new Vec3();
+const _velocity = new Vec3();
+const _relative = new Vec3();
+const _direction = new Vec3();
+const _axisA = new Vec3();
+const _axisB = new Vec3();
+const _referenceA = new Vec3();
+const _referenceB = new Vec3();
+const _tangent = new Vec3();
+const _bitangent = new Vec3();
+const _orientation = new THREE.Quaternion();
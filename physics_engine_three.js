@@ -0,0 +1,14 @@
+/*
+three.js for the modules the page and the physics worker share (physics_engine.js, physics_engine_joints.js).
+on the page 'three' goes through the import map, like every other module, so there is one THREE instance.
+module workers have no import maps: there three and three-mesh-bvh both come from esm.sh, the library pinned
+to the same three, so the worker has a single instance too (its meshes, the engine and the BVH queries)
+*/
+const isWorker = typeof window === 'undefined';
+
+export const WORKER_THREE_URL = 'https://esm.sh/three@0.164.1';
+export const WORKER_MESH_BVH_URL = 'https://esm.sh/three-mesh-bvh@0.7.0?deps=three@0.164.1';
+
+const THREE = await import(isWorker ? WORKER_THREE_URL : 'three');
+
+export default THREE;
@@ -0,0 +1,244 @@
+// physics worker: runs a PhysicsEngine off the main thread, driven by PhysicsWorkerHost (physics_worker_host.js).
+// the meshes here are only collision shapes (geometry + BVH + transform), nothing is rendered
+import { startInbox } from './physics_worker_inbox.js';
+// three and three-mesh-bvh from the same resolver (no import maps in workers), one THREE instance
+import THREE, { WORKER_MESH_BVH_URL } from './physics_engine_three.js';
+import { PhysicsEngine, RigidBody, TriggerVolume } from './physics_engine.js';
+import { createJoint } from './physics_engine_joints.js';
+import { Vec3 } from './physics_engine_vec3.js';
+import { SeededRandom } from './seeded_random.js';
+import { STATE_STRIDE, writeBodyState, readBodyState } from './physics_worker_protocol.js';
+
+const { MeshBVH } = await import(WORKER_MESH_BVH_URL);
+
+let engine = null;
+const geometries = new Map(); //geometry key -> BufferGeometry with its BVH, shared like on the main thread
+const bodies = new Map(); //host id -> RigidBody
+const triggers = new Map(); //host id -> TriggerVolume
+const joints = new Map(); //host id -> joint
+const stepForces = new Map(); //body -> { force, torque } the host sent for every step of the current exchange
+let events = []; //collision and trigger events of the current exchange, sent with the states
+
+startInbox(data => {
+    try {
+        handleMessage(data);
+    } catch (error) {
+        //exchange tells the host which step failed (its state reply has already been sent, see step)
+        self.postMessage({ type: 'error', message: error.message, stack: error.stack, exchange: data.exchange });
+    }
+});
+
+function handleMessage(data) {
+    switch (data.type) {
+        case 'init': {
+            const { seed, randomState, ...options } = data.options;
+            const random = new SeededRandom(seed);
+            random.setState(randomState);
+            engine = new PhysicsEngine({ ...options, random });
+            //trigger events are always forwarded, the host keeps the listeners
+            engine.onTriggerEnter(triggerListener('enter'));
+            engine.onTriggerExit(triggerListener('exit'));
+            break;
+        }
+        case 'addBody': {
+            const mesh = createMesh(data.geometry, data.name);
+            mesh.position.fromArray(data.state.position);
+            mesh.quaternion.fromArray(data.state.orientation);
+            mesh.scale.fromArray(data.scale);
+            const body = new RigidBody(mesh, data.state.mass);
+            body.deserialize(data.state);
+            body.hostId = data.id;
+            bodies.set(data.id, body);
+            engine.addBody(body);
+            break;
+        }
+        case 'removeBody': {
+            const body = bodies.get(data.id);
+            if (!body) break;
+            bodies.delete(data.id);
+            engine.removeBody(body);
+            break;
+        }
+        case 'addStaticCollider': {
+            const mesh = createMesh(data.geometry, data.name);
+            new THREE.Matrix4().fromArray(data.matrixWorld).decompose(mesh.position, mesh.quaternion, mesh.scale);
+            mesh.hostId = data.id;
+            engine.addStaticCollider(mesh);
+            break;
+        }
+        case 'setBoundsRegion':
+            engine.setBoundsRegion(data.name, toBounds(data.bounds));
+            //the engine keeps these three also as fields
+            if (data.name === 'world') engine.worldBounds = engine.boundsRegions.world;
+            if (data.name === 'prize') engine.prizeBounds = engine.boundsRegions.prize;
+            if (data.name === 'candy') engine.candyBounds = engine.boundsRegions.candy;
+            break;
+        case 'setSafetyZone':
+            if (data.zone === 'dispenser') engine.setDispenserSafetyZone(toVector(data.center), data.radius);
+            else engine.setChuteSafetyZone(toVector(data.center), data.radius);
+            break;
+        case 'addTrigger': {
+            const trigger = new TriggerVolume(toBox(data.box), { mask: data.mask, name: data.name });
+            trigger.hostId = data.id;
+            triggers.set(data.id, trigger);
+            engine.addTrigger(trigger);
+            break;
+        }
+        case 'removeTrigger': {
+            const trigger = triggers.get(data.id);
+            if (!trigger) break;
+            triggers.delete(data.id);
+            engine.removeTrigger(trigger);
+            break;
+        }
+        case 'addJoint': {
+            const joint = createJoint(data.joint, id => bodies.get(id));
+            joints.set(data.id, joint);
+            engine.addJoint(joint);
+            break;
+        }
+        case 'removeJoint': {
+            const joint = joints.get(data.id);
+            if (!joint) break;
+            joints.delete(data.id);
+            engine.removeJoint(joint);
+            break;
+        }
+        case 'listenCollisions':
+            listenCollisions(data.kind);
+            break;
+        case 'step':
+            step(data);
+            break;
+    }
+}
+
+/*
+one exchange with the host:
+1. commands (impulses, filter changes, joint changes, moved triggers) and the state writes made by gameplay on the main thread
+2. the fixed steps the host counted since the last exchange, starting from the host simulation time
+3. the states of all the bodies go back in the same typed arrays (transferred, not copied)
+the reply is sent even if the step throws: the host waits for it (and for its arrays) before the next exchange
+*/
+function step({ exchange, startTime, steps, commands, writeCount, ids, fields, states }) {
+    try {
+        //the clock is the host's one (release timers are stamped with it on the main thread)
+        engine.simulationTime = startTime;
+        commands.forEach(applyCommand);
+        for (let i = 0; i < writeCount; i++) {
+            const body = bodies.get(ids[i]);
+            if (body) readBodyState(body, states, i * STATE_STRIDE, fields[i]);
+        }
+
+        for (let i = 0; i < steps; i++) {
+            //the claw fingers push with forces, on the main thread they are added before every step
+            stepForces.forEach(({ force, torque }, body) => {
+                body.force.add(force);
+                body.torque.add(torque);
+            });
+            engine.runFixedStep();
+        }
+    } finally {
+        stepForces.clear();
+        sendState(exchange, ids, fields, states);
+    }
+}
+
+function sendState(exchange, ids, fields, states) {
+    const count = engine.bodies.length;
+    if (ids.length < count) {
+        ids = new Int32Array(count * 2);
+        fields = new Uint8Array(count * 2);
+        states = new Float32Array(count * 2 * STATE_STRIDE);
+    }
+    engine.bodies.forEach((body, i) => {
+        ids[i] = body.hostId;
+        writeBodyState(body, states, i * STATE_STRIDE);
+    });
+
+    const message = { type: 'state', exchange, simulationTime: engine.simulationTime, count, ids, fields, states, events };
+    events = [];
+    self.postMessage(message, [ids.buffer, fields.buffer, states.buffer]);
+}
+
+function applyCommand(command) {
+    const body = bodies.get(command.id);
+    switch (command.type) {
+        case 'applyImpulse':
+            if (body) body.applyImpulse(toVector(command.impulse), toVector(command.point));
+            break;
+        case 'applyForce':
+            if (body) stepForces.set(body, { force: toVector(command.force), torque: toVector(command.torque) });
+            break;
+        case 'setCollisionFilter':
+            if (!body) break;
+            body.baseCollisionFilter = { ...command.collisionFilter };
+            body.collisionOverrides = new Map(command.collisionOverrides);
+            body.refreshCollisionFilter();
+            break;
+        case 'updateJoint': {
+            const joint = joints.get(command.id);
+            if (joint) joint.fromJSON(command.joint);
+            break;
+        }
+        case 'moveTrigger': {
+            const trigger = triggers.get(command.id);
+            if (trigger) trigger.worldBox.copy(toBox(command.box));
+            break;
+        }
+    }
+}
+
+//contacts are sent by id, the host maps them back to its bodies and meshes
+function listenCollisions(kind) {
+    engine[`onCollision${kind[0].toUpperCase()}${kind.slice(1)}`](contact => {
+        events.push({
+            type: 'collision',
+            kind,
+            bodyA: contact.bodyA.hostId,
+            bodyB: contact.bodyB ? contact.bodyB.hostId : null,
+            collider: contact.collider ? contact.collider.hostId : null,
+            boundsRegion: contact.boundsRegion,
+            point: toArray(contact.point),
+            normal: toArray(contact.normal),
+            impulse: contact.impulse
+        });
+    });
+}
+
+function triggerListener(kind) {
+    return ({ trigger, body }) => {
+        events.push({ type: 'trigger', kind, trigger: trigger.hostId, body: body.hostId });
+    };
+}
+
+function createMesh(geometryData, name) {
+    if (geometryData.position) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(geometryData.position, 3));
+        if (geometryData.index) geometry.setIndex(new THREE.BufferAttribute(geometryData.index, 1));
+        geometry.computeBoundingBox();
+        geometry.boundsTree = new MeshBVH(geometry);
+        geometries.set(geometryData.key, geometry);
+    }
+    const mesh = new THREE.Mesh(geometries.get(geometryData.key));
+    mesh.name = name;
+    return mesh;
+}
+
+function toVector(array) {
+    return new Vec3(array[0], array[1], array[2]);
+}
+
+function toArray(v) {
+    return [v.x, v.y, v.z];
+}
+
+//bounds regions can be open on some sides (chute), infinities survive structured clone
+function toBounds(bounds) {
+    return { min: toVector(bounds.min), max: toVector(bounds.max) };
+}
+
+function toBox(box) {
+    return new THREE.Box3(new THREE.Vector3().fromArray(box.min), new THREE.Vector3().fromArray(box.max));
+}
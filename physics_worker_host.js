@@ -0,0 +1,418 @@
+import { PhysicsEngine } from './physics_engine.js';
+import { Vec3 } from './physics_engine_vec3.js';
+import { STATE_STRIDE, StateFields, writeBodyState, readBodyState, changedFields, geometryToMessage } from './physics_worker_protocol.js';
+
+/*
+PhysicsEngine facade that runs the simulation in a Web Worker (physics_worker.js).
+
+it is a PhysicsEngine, so ClawController, CandyMachine and the rest keep the same synchronous API:
+the bodies on the main thread are mirrors, gameplay reads and writes them as usual.
+every frame:
+- the fixed steps are counted here and the gameplay callback (onFixedStep) runs for each of them, like before
+- what gameplay changed on the mirrors since the last exchange (found by comparing with the last synced state)
+  is sent to the worker together with the commands (new bodies, impulses, forces, filter and joint changes...)
+- the worker runs the steps and sends back the states of all the bodies in transferable typed arrays,
+  plus the collision and trigger events, which are emitted here to the usual listeners
+only one exchange is in flight at a time, so the mirrors are one frame behind the worker. while it is in flight
+no gameplay step runs (the claw would move for steps the physics never simulates): a slow worker slows the game
+down, like slow frames do with the engine on the main thread.
+if the worker can not start (or dies) the simulation falls back to the main thread, on the mirrors.
+the replay (input_recorder.js) needs to run steps synchronously and is not available in this mode
+*/
+export class PhysicsWorkerHost extends PhysicsEngine {
+    constructor(options = {}) {
+        super(options);
+        this.runsInWorker = true;
+
+        this.worker = new Worker(new URL('./physics_worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.handleWorkerMessage(data);
+        //a module that could not be loaded (three.js from the network) or an uncaught error
+        this.worker.onerror = (error) => this.fallBackToMainThread(error.message);
+
+        this.bodiesById = new Map();
+        this.triggersById = new Map();
+        this.nextTriggerId = 0;
+        this.sentGeometries = new Set();
+        this.sentFilterRevisions = new Map(); //body id -> filterRevision known by the worker
+        this.sentJointRevisions = new Map(); //joint id -> revision known by the worker
+        this.listenedCollisionKinds = new Set();
+        this.commands = [];
+        this.stepForces = new Map(); //body id -> { force, torque } added by gameplay (claw fingers) in the pending steps
+        this.pendingSteps = 0;
+        this.waitingForWorker = false;
+        this.exchange = 0; //id of the last step sent, the replies and the errors carry it
+
+        //last state exchanged with the worker for each body, gameplay changes are found by comparison
+        this.syncedStates = new Map();
+        this.scratchState = new Float32Array(STATE_STRIDE);
+        //arrays going back and forth with the worker (transferred, not copied), they only grow
+        this.allocateTransferArrays(64);
+
+        const { broadPhase = 'sweepAndPrune', broadPhaseOptions = {} } = options;
+        this.post({
+            type: 'init',
+            options: {
+                fixedTimeStep: this.fixedTimeStep,
+                broadPhase,
+                broadPhaseOptions,
+                ccd: this.ccdEnabled,
+                ccdThreshold: this.ccdThreshold,
+                ccdMaxIterations: this.ccdMaxIterations,
+                jointIterations: this.jointIterations,
+                jointWarmStarting: this.jointWarmStarting,
+                seed: this.random.seed,
+                randomState: this.random.getState()
+            }
+        });
+    }
+
+    addBody(body) {
+        super.addBody(body);
+        if (!this.worker) return;
+        this.bodiesById.set(body.id, body);
+
+        const geometry = body.mesh.geometry;
+        this.post({
+            type: 'addBody',
+            id: body.id,
+            name: body.mesh.name,
+            scale: body.mesh.scale.toArray(),
+            geometry: this.getGeometryMessage(geometry),
+            state: body.serialize()
+        });
+
+        const synced = new Float32Array(STATE_STRIDE);
+        writeBodyState(body, synced, 0);
+        this.syncedStates.set(body.id, synced);
+        this.sentFilterRevisions.set(body.id, body.filterRevision);
+
+        //impulses add up with what the worker is computing, so they are sent as commands
+        //instead of being applied to the mirror (which would overwrite the worker velocity)
+        body.applyImpulse = (impulse, point) => {
+            this.commands.push({ type: 'applyImpulse', id: body.id, impulse: toArray(impulse), point: toArray(point) });
+        };
+    }
+
+    removeBody(body) {
+        super.removeBody(body);
+        if (!this.worker) return;
+        this.bodiesById.delete(body.id);
+        this.syncedStates.delete(body.id);
+        this.sentFilterRevisions.delete(body.id);
+        this.post({ type: 'removeBody', id: body.id });
+    }
+
+    //the joints are solved in the worker, the ones here are only descriptions (changes are sent with the steps)
+    addJoint(joint) {
+        super.addJoint(joint);
+        if (!this.worker) return joint;
+        this.sentJointRevisions.set(joint.id, joint.revision);
+        this.post({ type: 'addJoint', id: joint.id, joint: joint.toJSON() });
+        return joint;
+    }
+
+    removeJoint(joint) {
+        super.removeJoint(joint);
+        if (!this.worker || !this.sentJointRevisions.delete(joint.id)) return;
+        this.post({ type: 'removeJoint', id: joint.id });
+    }
+
+    addStaticCollider(mesh) {
+        const count = this.staticColliders.length;
+        super.addStaticCollider(mesh);
+        if (!this.worker || this.staticColliders.length === count) return; //no BVH, the engine ignored it
+
+        this.post({
+            type: 'addStaticCollider',
+            id: count, //index in staticColliders, used to map the contacts back to the mesh
+            name: mesh.name,
+            geometry: this.getGeometryMessage(mesh.geometry),
+            matrixWorld: mesh.matrixWorld.toArray()
+        });
+    }
+
+    setBoundsRegion(name, bounds) {
+        super.setBoundsRegion(name, bounds);
+        //structured clone keeps the infinite sides of the open regions
+        this.post({ type: 'setBoundsRegion', name, bounds: { min: toArray(bounds.min), max: toArray(bounds.max) } });
+    }
+
+    setDispenserSafetyZone(center, radius) {
+        super.setDispenserSafetyZone(center, radius);
+        this.post({ type: 'setSafetyZone', zone: 'dispenser', center: toArray(center), radius });
+    }
+
+    setChuteSafetyZone(center, radius) {
+        super.setChuteSafetyZone(center, radius);
+        this.post({ type: 'setSafetyZone', zone: 'chute', center: toArray(center), radius });
+    }
+
+    addTrigger(trigger) {
+        super.addTrigger(trigger);
+        if (!this.worker) return trigger;
+        trigger.workerId = this.nextTriggerId++;
+        this.triggersById.set(trigger.workerId, trigger);
+        this.post({
+            type: 'addTrigger',
+            id: trigger.workerId,
+            name: trigger.name,
+            mask: trigger.mask,
+            box: boxToMessage(trigger.updateWorldBox())
+        });
+        return trigger;
+    }
+
+    removeTrigger(trigger) {
+        super.removeTrigger(trigger);
+        if (!this.worker) return;
+        this.triggersById.delete(trigger.workerId);
+        this.post({ type: 'removeTrigger', id: trigger.workerId });
+    }
+
+    //the worker only records contacts when somebody listens to them
+    onCollisionEnter(callback) {
+        this.listenCollisions('enter');
+        return super.onCollisionEnter(callback);
+    }
+
+    onCollisionStay(callback) {
+        this.listenCollisions('stay');
+        return super.onCollisionStay(callback);
+    }
+
+    onCollisionExit(callback) {
+        this.listenCollisions('exit');
+        return super.onCollisionExit(callback);
+    }
+
+    listenCollisions(kind) {
+        if (!this.worker || this.listenedCollisionKinds.has(kind)) return;
+        this.listenedCollisionKinds.add(kind);
+        this.post({ type: 'listenCollisions', kind });
+    }
+
+    //the physics itself runs in the worker: here a fixed step only runs the gameplay callback and is counted
+    runFixedStep(onFixedStep = null) {
+        if (!this.worker) return super.runFixedStep(onFixedStep);
+        if (onFixedStep) onFixedStep(this.fixedTimeStep);
+        this.collectForces();
+        this.simulationTime += this.fixedTimeStep;
+        this.pendingSteps++;
+    }
+
+    //the forces gameplay put on the mirrors in this step are taken off them (nothing integrates them here)
+    //and summed, sendStep spreads them over the steps of the exchange
+    collectForces() {
+        this.bodies.forEach(body => {
+            if (body.force.lengthSq() === 0 && body.torque.lengthSq() === 0) return;
+            let sum = this.stepForces.get(body.id);
+            if (!sum) {
+                sum = { force: new Vec3(), torque: new Vec3() };
+                this.stepForces.set(body.id, sum);
+            }
+            sum.force.add(body.force);
+            sum.torque.add(body.torque);
+            body.force.set(0, 0, 0);
+            body.torque.set(0, 0, 0);
+        });
+    }
+
+    step(frameDeltaTime, onFixedStep = null) {
+        if (!this.worker) return super.step(frameDeltaTime, onFixedStep);
+        //the worker has not answered yet: the frame time is dropped, like step() does with the time of slow frames
+        if (this.waitingForWorker) return 0;
+        const subSteps = super.step(frameDeltaTime, onFixedStep);
+        if (this.pendingSteps > 0) this.sendStep();
+        return subSteps;
+    }
+
+    //all the steps gameplay has run are simulated (at most maxSubSteps, one frame of them)
+    sendStep() {
+        const steps = this.pendingSteps;
+        this.pendingSteps = 0;
+        this.ensureCapacity(this.bodies.length);
+
+        let writeCount = 0;
+        this.bodies.forEach(body => {
+            if (body.filterRevision !== this.sentFilterRevisions.get(body.id)) {
+                const { collisionFilter, collisionOverrides } = body.serialize();
+                this.commands.push({ type: 'setCollisionFilter', id: body.id, collisionFilter, collisionOverrides });
+                this.sentFilterRevisions.set(body.id, body.filterRevision);
+            }
+
+            const synced = this.syncedStates.get(body.id);
+            writeBodyState(body, this.scratchState, 0);
+            const fields = changedFields(this.scratchState, 0, synced, 0);
+            if (fields === 0) return;
+            this.ids[writeCount] = body.id;
+            this.fields[writeCount] = fields;
+            this.states.set(this.scratchState, writeCount * STATE_STRIDE);
+            synced.set(this.scratchState);
+            writeCount++;
+        });
+
+        //the same total impulse as on the main thread, the worker applies the average force in every step
+        this.stepForces.forEach(({ force, torque }, id) => {
+            this.commands.push({
+                type: 'applyForce',
+                id,
+                force: toArray(force.multiplyScalar(1 / steps)),
+                torque: toArray(torque.multiplyScalar(1 / steps))
+            });
+        });
+        this.stepForces.clear();
+
+        this.joints.forEach(joint => {
+            if (joint.revision === this.sentJointRevisions.get(joint.id)) return;
+            this.commands.push({ type: 'updateJoint', id: joint.id, joint: joint.toJSON() });
+            this.sentJointRevisions.set(joint.id, joint.revision);
+        });
+
+        //triggers built from a mesh follow it
+        this.triggers.forEach(trigger => {
+            if (trigger.mesh) this.commands.push({ type: 'moveTrigger', id: trigger.workerId, box: boxToMessage(trigger.updateWorldBox()) });
+        });
+
+        const { ids, fields, states } = this;
+        this.exchange++;
+        this.post({
+            type: 'step',
+            exchange: this.exchange,
+            startTime: this.simulationTime - steps * this.fixedTimeStep,
+            steps,
+            commands: this.commands,
+            writeCount,
+            ids,
+            fields,
+            states
+        }, [ids.buffer, fields.buffer, states.buffer]);
+
+        this.commands = [];
+        this.ids = this.fields = this.states = null; //owned by the worker until it answers
+        this.waitingForWorker = true;
+    }
+
+    handleWorkerMessage(data) {
+        switch (data.type) {
+            case 'state':
+                this.ids = data.ids;
+                this.fields = data.fields;
+                this.states = data.states;
+                this.waitingForWorker = false;
+                this.applyWorkerStates(data.count);
+                this.dispatchWorkerEvents(data.events);
+                break;
+            case 'error':
+                console.error('Physics worker:', data.message, data.stack);
+                //the step reply should have come before the error, if it did not the arrays are lost with it
+                if (this.waitingForWorker && data.exchange === this.exchange) {
+                    this.waitingForWorker = false;
+                    this.allocateTransferArrays(Math.max(this.bodies.length, 64));
+                }
+                break;
+        }
+    }
+
+    //the worker is not usable: the mirrors become the simulated bodies, this engine steps them itself
+    fallBackToMainThread(reason) {
+        if (!this.worker) return;
+        console.error('Physics worker failed, the physics runs on the main thread:', reason);
+        this.worker.terminate();
+        this.worker = null;
+        this.runsInWorker = false;
+        this.waitingForWorker = false;
+        this.pendingSteps = 0;
+        this.stepForces.clear(); //they belong to the dropped steps, the mirrors were cleared when they were collected
+
+        //the impulses waiting for the next exchange are applied here, with the engine method again
+        this.bodies.forEach(body => { delete body.applyImpulse; });
+        this.commands.forEach(command => {
+            const body = this.bodiesById.get(command.id);
+            if (command.type === 'applyImpulse' && body) body.applyImpulse(new Vec3(...command.impulse), new Vec3(...command.point));
+        });
+        this.commands = [];
+    }
+
+    //groups changed by gameplay after the last exchange keep the mirror value, they will be sent with the next one
+    applyWorkerStates(count) {
+        for (let i = 0; i < count; i++) {
+            const body = this.bodiesById.get(this.ids[i]);
+            if (!body) continue; //removed on the main thread in the meantime
+            const offset = i * STATE_STRIDE;
+            const synced = this.syncedStates.get(body.id);
+
+            writeBodyState(body, this.scratchState, 0);
+            const dirty = changedFields(this.scratchState, 0, synced, 0);
+            synced.set(this.states.subarray(offset, offset + STATE_STRIDE));
+
+            if (!(dirty & StateFields.POSE)) body.storePreviousState();
+            readBodyState(body, this.states, offset, StateFields.ALL & ~dirty);
+        }
+    }
+
+    dispatchWorkerEvents(events) {
+        events.forEach(event => {
+            const body = this.bodiesById.get(event.type === 'trigger' ? event.body : event.bodyA);
+            if (!body) return;
+
+            if (event.type === 'trigger') {
+                const trigger = this.triggersById.get(event.trigger);
+                if (!trigger) return;
+                if (event.kind === 'enter' && !trigger.contains(body)) this.enterTrigger(trigger, body);
+                else if (event.kind === 'exit' && trigger.contains(body)) this.exitTrigger(trigger, body);
+                return;
+            }
+
+            this.emitCollisionEvent(event.kind, {
+                bodyA: body,
+                bodyB: event.bodyB !== null ? this.bodiesById.get(event.bodyB) || null : null,
+                collider: event.collider !== null ? this.staticColliders[event.collider] : null,
+                boundsRegion: event.boundsRegion,
+                point: new Vec3(...event.point),
+                normal: new Vec3(...event.normal),
+                impulse: event.impulse
+            });
+        });
+    }
+
+    ensureCapacity(count) {
+        if (this.ids.length >= count) return;
+        this.allocateTransferArrays(Math.max(count, this.ids.length * 2));
+    }
+
+    allocateTransferArrays(capacity) {
+        this.ids = new Int32Array(capacity);
+        this.fields = new Uint8Array(capacity);
+        this.states = new Float32Array(capacity * STATE_STRIDE);
+    }
+
+    post(message, transfer = []) {
+        if (this.worker) this.worker.postMessage(message, transfer);
+    }
+
+    //shared geometries (cloned stars, candies) are sent once
+    getGeometryMessage(geometry) {
+        if (this.sentGeometries.has(geometry.uuid)) return { key: geometry.uuid };
+        this.sentGeometries.add(geometry.uuid);
+        return geometryToMessage(geometry);
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
+
+//?physicsWorker in the url runs the physics in a worker
+export function isPhysicsWorkerRequested() {
+    if (typeof window === 'undefined' || typeof Worker === 'undefined') return false;
+    return new URLSearchParams(window.location.search).has('physicsWorker');
+}
+
+function toArray(v) {
+    return [v.x, v.y, v.z];
+}
+
+function boxToMessage(box) {
+    return { min: box.min.toArray(), max: box.max.toArray() };
+}
@@ -0,0 +1,10 @@
+// first import of physics_worker.js: it runs before the modules that load three.js with a top level await
+// (physics_engine_three.js), so the messages the host sends in the meantime are kept instead of being lost
+const queuedMessages = [];
+self.onmessage = ({ data }) => queuedMessages.push(data);
+
+//the handler takes over, the queued messages go first, in order
+export function startInbox(handler) {
+    self.onmessage = ({ data }) => handler(data);
+    queuedMessages.splice(0).forEach(handler);
+}
@@ -0,0 +1,82 @@
+import { SERIALIZED_FLAGS } from './physics_engine.js';
+
+/*
+layout of a body state in the typed arrays exchanged with the physics worker (see physics_worker_host.js):
+  0-2 position, 3-6 orientation, 7-9 linear velocity, 10-12 angular velocity,
+  13 flags (one bit per BODY_FLAGS entry), 14 releaseStartTime (NaN when null), 15 inverseMass
+the state is split in groups, a write from the main thread only carries the groups that gameplay changed
+*/
+export const STATE_STRIDE = 16;
+
+export const StateFields = {
+    POSE: 1,
+    VELOCITY: 2,
+    FLAGS: 4,
+    ALL: 7
+};
+
+const FIELD_RANGES = [
+    [StateFields.POSE, 0, 7],
+    [StateFields.VELOCITY, 7, 13],
+    [StateFields.FLAGS, 13, 16]
+];
+
+export const BODY_FLAGS = ['isSleeping', ...SERIALIZED_FLAGS];
+
+export function writeBodyState(body, array, offset) {
+    const p = body.position, q = body.orientation, v = body.linearVelocity, w = body.angularVelocity;
+    array[offset] = p.x; array[offset + 1] = p.y; array[offset + 2] = p.z;
+    array[offset + 3] = q.x; array[offset + 4] = q.y; array[offset + 5] = q.z; array[offset + 6] = q.w;
+    array[offset + 7] = v.x; array[offset + 8] = v.y; array[offset + 9] = v.z;
+    array[offset + 10] = w.x; array[offset + 11] = w.y; array[offset + 12] = w.z;
+    let flags = 0;
+    BODY_FLAGS.forEach((flag, bit) => {
+        if (body[flag]) flags |= 1 << bit;
+    });
+    array[offset + 13] = flags;
+    array[offset + 14] = body.releaseStartTime ?? NaN;
+    array[offset + 15] = body.inverseMass;
+}
+
+export function readBodyState(body, array, offset, fields = StateFields.ALL) {
+    if (fields & StateFields.POSE) {
+        body.position.set(array[offset], array[offset + 1], array[offset + 2]);
+        body.orientation.set(array[offset + 3], array[offset + 4], array[offset + 5], array[offset + 6]);
+    }
+    if (fields & StateFields.VELOCITY) {
+        body.linearVelocity.set(array[offset + 7], array[offset + 8], array[offset + 9]);
+        body.angularVelocity.set(array[offset + 10], array[offset + 11], array[offset + 12]);
+    }
+    if (fields & StateFields.FLAGS) {
+        const flags = array[offset + 13];
+        BODY_FLAGS.forEach((flag, bit) => {
+            body[flag] = (flags & (1 << bit)) !== 0;
+        });
+        const releaseStartTime = array[offset + 14];
+        body.releaseStartTime = Number.isNaN(releaseStartTime) ? null : releaseStartTime;
+        body.inverseMass = array[offset + 15];
+    }
+}
+
+//groups that differ between two states (NaN equals NaN here, it is the "null" release time)
+export function changedFields(arrayA, offsetA, arrayB, offsetB) {
+    let fields = 0;
+    FIELD_RANGES.forEach(([field, start, end]) => {
+        for (let i = start; i < end; i++) {
+            if (!Object.is(arrayA[offsetA + i], arrayB[offsetB + i])) {
+                fields |= field;
+                return;
+            }
+        }
+    });
+    return fields;
+}
+
+//geometry data needed to rebuild a mesh (and its BVH) in the worker
+export function geometryToMessage(geometry) {
+    return {
+        key: geometry.uuid,
+        position: geometry.attributes.position.array.slice(),
+        index: geometry.index ? geometry.index.array.slice() : null
+    };
+}
@@ -0,0 +1,92 @@
+/*
+prize catalog: the kinds of prizes in the claw pit, read from prize_catalog.json at startup.
+a prize type is
+  { id, name, glb, meshName, scale, mass, friction, points, rarity, spawnCount, winSound, color }
+- name is also the prefix of the mesh names (Star_0, Star_1...), the physics snapshots and the replays use them
+- meshName: the first mesh of the glb whose name contains it (case insensitive)
+- points: stars added to the score when it is delivered (the stars are spent at the candy machine)
+- rarity: common, rare or legendary, the rare ones always explode when won
+- winSound: path of the sound played when it is won, null for the shared win sounds
+- color: optional tint of the material
+the grabbable objects carry their type ({ body, name, prize }) and so does the body (body.prizeType)
+*/
+export const PRIZE_RARITIES = ['common', 'rare', 'legendary'];
+
+const PRIZE_DEFAULTS = {
+    meshName: '',
+    scale: 1,
+    mass: 1,
+    friction: 0.5,
+    points: 1,
+    rarity: 'common',
+    spawnCount: 1,
+    winSound: null,
+    color: null
+};
+
+// the prizes of the old fixed setup, used when the catalog can not be loaded
+export const DEFAULT_PRIZE_CATALOG = [
+    { ...PRIZE_DEFAULTS, id: 'star', name: 'Star', glb: 'glbmodels/star_prize.glb', meshName: 'star', scale: 0.16, spawnCount: 20 }
+];
+
+const DEFAULT_WIN_SOUND = 'prizeWin';
+
+export async function loadPrizeCatalog(url = 'prize_catalog.json') {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        const catalog = parsePrizeCatalog(await response.json());
+        if (catalog.length > 0) return catalog;
+        console.warn('Prize catalog: no valid prize, using the default one');
+    } catch (error) {
+        console.warn('Prize catalog: could not load', url, error);
+    }
+    return DEFAULT_PRIZE_CATALOG;
+}
+
+// entries without id, name or glb, or with a duplicated id or name, are skipped
+// (the name prefixes the mesh names, the snapshots and the replays find the bodies by them)
+export function parsePrizeCatalog(data) {
+    const ids = new Set();
+    const names = new Set();
+    return (data && Array.isArray(data.prizes) ? data.prizes : []).filter(entry => {
+        const isValid = entry && typeof entry.id === 'string' && typeof entry.name === 'string'
+            && typeof entry.glb === 'string' && !ids.has(entry.id) && !names.has(entry.name);
+        if (!isValid) {
+            console.warn('Prize catalog: invalid prize', entry);
+        } else {
+            ids.add(entry.id);
+            names.add(entry.name);
+        }
+        return isValid;
+    }).map(entry => {
+        const prize = { ...PRIZE_DEFAULTS, ...entry };
+        prize.scale = positiveOr(prize.scale, PRIZE_DEFAULTS.scale);
+        prize.mass = positiveOr(prize.mass, PRIZE_DEFAULTS.mass);
+        prize.friction = Number.isFinite(prize.friction) ? Math.max(prize.friction, 0) : PRIZE_DEFAULTS.friction;
+        prize.points = Number.isFinite(prize.points) ? Math.round(prize.points) : PRIZE_DEFAULTS.points;
+        prize.spawnCount = Number.isInteger(prize.spawnCount) ? Math.max(prize.spawnCount, 0) : PRIZE_DEFAULTS.spawnCount;
+        if (!PRIZE_RARITIES.includes(prize.rarity)) prize.rarity = PRIZE_DEFAULTS.rarity;
+        return prize;
+    });
+}
+
+// the prizes with their own win sound get it loaded under prizeWin_<id>
+export function loadPrizeSounds(catalog, audioManager) {
+    if (!audioManager) return;
+    catalog.forEach(prize => {
+        if (prize.winSound) audioManager.loadSound(getPrizeWinSound(prize), prize.winSound);
+    });
+}
+
+export function getPrizeWinSound(prize) {
+    return prize && prize.winSound ? `${DEFAULT_WIN_SOUND}_${prize.id}` : DEFAULT_WIN_SOUND;
+}
+
+export function getPrizeById(catalog, id) {
+    return catalog.find(prize => prize.id === id) || null;
+}
+
+function positiveOr(value, fallback) {
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
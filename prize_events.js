@@ -0,0 +1,44 @@
+/*
+win pipeline of the claw machine:
+- the claw reports that it let a prize go over the chute (prizeReleased), nothing is won yet: it can still bounce
+  off the chute lip and fall back in the pit
+- a prize is won only when the final prize sensor under the chute confirms it (checkFinalPrizeTrigger), once per prize
+the score and the statistics (ClawController), the HUD, the win sound, the light show and the prize animation all
+listen to prizeWon. events are { body, name, prize } with prize the type from the prize catalog (null if it has none)
+*/
+const releasedListeners = [];
+const wonListeners = [];
+
+export function onPrizeReleased(callback) {
+    return addListener(releasedListeners, callback);
+}
+
+export function onPrizeWon(callback) {
+    return addListener(wonListeners, callback);
+}
+
+export function emitPrizeReleased(body) {
+    emit(releasedListeners, createPrizeEvent(body));
+}
+
+export function emitPrizeWon(body) {
+    emit(wonListeners, createPrizeEvent(body));
+}
+
+function createPrizeEvent(body) {
+    return { body, name: body.mesh ? body.mesh.name : null, prize: body.prizeType || null };
+}
+
+//returns the function that removes the listener
+function addListener(list, callback) {
+    list.push(callback);
+    return () => {
+        const index = list.indexOf(callback);
+        if (index !== -1) list.splice(index, 1);
+    };
+}
+
+function emit(list, event) {
+    //copy so a callback can unsubscribe itself while we are iterating
+    list.slice().forEach(callback => callback(event));
+}
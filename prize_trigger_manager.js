@@ -1,78 +1,75 @@
 import * as THREE from 'three';
+import { CollisionLayers, TriggerVolume } from './physics_engine.js';
 import { GrabbableObjectsInteraction } from './grabbable_objects_interaction.js';
 import { ClawController } from './claw_controller.js';
 import { startPrizeAnimation, resetAnimations } from './animation.js';
 import { startLightShow } from './extras.js';
+import { getRandom } from './seeded_random.js';
+import { getPrizeWinSound } from './prize_catalog.js';
+import { onPrizeWon, emitPrizeWon } from './prize_events.js';
 
-// prize trigger animation handler - starts the prize win sequence
-function startPrizeAnimationLocal(body, clawTopBox, audioManager) {
+// prize trigger animation handler - the won prize moves out of the machine and disappears
+function startPrizeAnimationLocal(body, clawTopBox) {
     body.isAnimating = true;
-    audioManager.playSound('prizeWin');
-    startLightShow();
     startPrizeAnimation(body, clawTopBox);
 }
 
 // we have two triggers, so we check for the second trigger to then trigger the whole animation
-function checkFinalPrizeTrigger(finalPrizeHelper, grabbableObjects, clawTopBox, audioManager) {
-    if (!finalPrizeHelper || !grabbableObjects) return;
-
-    const helperBox = new THREE.Box3().setFromObject(finalPrizeHelper); // this is basically the second trigger, which allows the star to drop
-
-    grabbableObjects.forEach(objData => {
-        const body = objData.body;
-
-        // controlla solo le stelle che stanno cadendo ma non sono ancora bloccate
-        if (body && body.canFallThrough && !body.isBlocked) {
-            const bodyBox = new THREE.Box3().setFromObject(body.mesh);
-
-            if (helperBox.intersectsBox(bodyBox)) {
-                // when the star approaches the helper box, then it completely stop its movement, it becomes a still body
-                body.isBlocked = true;
-                body.linearVelocity.set(0, 0, 0);
-                body.angularVelocity.set(0, 0, 0);
-                body.isSleeping = false;
-                body.hasTouchedClaw = false;
-                body.canFallThrough = false; // the star can basically do nothing, it becomes a still body 
-
-                startPrizeAnimationLocal(body, clawTopBox, audioManager); 
-            }
-        }
-    });
+// called by the final prize sensor when a star enters it. this is the only place where a prize is won (prize_events.js)
+function checkFinalPrizeTrigger(body) {
+    // controlla solo le stelle che stanno cadendo ma non sono ancora bloccate
+    if (body && body.canFallThrough && !body.isBlocked) {
+        // when the star approaches the helper box, then it completely stop its movement, it becomes a still body
+        body.isBlocked = true;
+        body.linearVelocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+        body.isSleeping = false;
+        body.hasTouchedClaw = false;
+        body.canFallThrough = false; // the star can basically do nothing, it becomes a still body 
+        body.removeCollisionOverride('fallThrough');
+
+        emitPrizeWon(body);
+    }
 }
 
 // this instead is the first helper, that is used in order to let the star fall in the second helper
 // more in detail this function is needed in order to let the star fall through the machine box
-function checkChuteTrigger(triggerVolume, grabbableObjects) {
-    if (!triggerVolume || !grabbableObjects || grabbableObjects.length === 0) {
-        return; // we just do some safety checks in order to avoid errors
+// called by the chute sensor when a star enters it
+function checkChuteTrigger(body) {
+    // check only if objects have been authorized to fall
+    if (body && !body.canFallThrough) {
+        body.canFallThrough = true; // if the star intersect the chute, then it can fall
+        // no floor and no static colliders (the chute box) while it falls
+        body.addCollisionOverride('fallThrough', { mask: ~CollisionLayers.STATIC, boundsRegion: 'chute' });
     }
+}
 
-    // triggerVolume -> the invisible trigger zone mesh must be loaded
-    // grabbableObjects ->  array of stars must exist and contain items
-
-    const triggerBox = new THREE.Box3().setFromObject(triggerVolume); // we define the trigger volume
-
-    let foundCollisions = 0;
-    grabbableObjects.forEach((objData, index) => {
-        const body = objData.body;
-
-        // check only if objects have been authorized to fall
-        if (body && !body.canFallThrough) {
-            const bodyBox = new THREE.Box3().setFromObject(body.mesh);
-            
-            // only log star positions if they're near the trigger area
-            const starPos = body.mesh.position;
-            const triggerCenter = triggerVolume.position;
-            const distance = starPos.distanceTo(triggerCenter);
+// registers the two invisible helpers as sensors in the physics engine, instead of testing every star against them each frame
+// triggerVolume -> the invisible trigger zone over the chute
+// finalPrizeHelper -> the second helper, below the chute
+function setupPrizeTriggers(physicsEngine, triggerVolume, finalPrizeHelper, clawTopBox, audioManager) {
+    if (!physicsEngine || !triggerVolume || !finalPrizeHelper) return null; // we just do some safety checks in order to avoid errors
 
+    const chuteTrigger = physicsEngine.addTrigger(new TriggerVolume(triggerVolume, { mask: CollisionLayers.PRIZE, name: 'chute' }));
+    const finalTrigger = physicsEngine.addTrigger(new TriggerVolume(finalPrizeHelper, { mask: CollisionLayers.PRIZE, name: 'finalPrize' }));
 
-            // se la bounding box della stella interseca quella dell'helper...
-            if (triggerBox.intersectsBox(bodyBox)) {
-                body.canFallThrough = true; // if the star intersect the chute, then it can fall
-                foundCollisions++;
-            }
+    chuteTrigger.onTriggerEnter(({ body }) => {
+        checkChuteTrigger(body);
+        // the star may already be touching the second helper when it is authorized to fall
+        if (finalTrigger.contains(body)) {
+            checkFinalPrizeTrigger(body);
         }
     });
+    finalTrigger.onTriggerEnter(({ body }) => checkFinalPrizeTrigger(body));
+
+    // the win sequence, every part listens to the won prizes (the score is kept by the claw controller)
+    const unsubscribe = [
+        onPrizeWon(({ body }) => startPrizeAnimationLocal(body, clawTopBox)),
+        onPrizeWon(({ prize }) => audioManager?.playSound(getPrizeWinSound(prize))), // the sound of this type of prize, or the shared ones
+        onPrizeWon(() => startLightShow())
+    ];
+
+    return { chuteTrigger, finalTrigger, unsubscribe };
 }
 
 function tryInitializeClawController(clawLoaded, clawTopBox, joystickPivot, buttonMesh, clawController, allClawCylinders, clawGroup, cylinders, clawBones, scene, physicsEngine, grabbableObjects, chuteMesh, candyMachine) {
@@ -90,7 +87,7 @@ function tryInitializeClawController(clawLoaded, clawTopBox, joystickPivot, butt
         // allows the claw controller to interact with them
         grabbableObjects.forEach(objData => {
             if (objData.body) {
-                objectsInteraction.addGrabbableObject(objData.body, objData.name);
+                objectsInteraction.addGrabbableObject(objData.body, objData.name, objData.prize);
             }
         });
         
@@ -105,7 +102,7 @@ function tryInitializeClawController(clawLoaded, clawTopBox, joystickPivot, butt
 }
 
 //resets and neatly respawns all grabbable objects inside the machine, avoiding the chute
-function resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene) {
+function resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene, random = getRandom()) {
     //early exit if we have no bounds or no objects
     if (!clawTopBox || grabbableObjects.length === 0) return;
 
@@ -136,8 +133,8 @@ function resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene) {
     const startZ = clawTopBox.min.z + 0.3; //bias away from the chute side
     const baseY = clawTopBox.min.y + 0.1; //slightly above the floor
 
-    //stop any running star animations before resetting states
-    resetAnimations();
+    //stop any running star animations and bring back the prizes they removed
+    restorePrizeMeshes(grabbableObjects, scene);
 
     //place each object on the grid with layered stacking
     grabbableObjects.forEach((objData, idx) => {
@@ -173,11 +170,12 @@ function resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene) {
         //reset linear and angular velocities for a clean start
         b.linearVelocity.set(0, 0, 0);
         b.orientation.setFromEuler(new THREE.Euler(
-            Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI
+            random.next() * Math.PI, random.next() * Math.PI, random.next() * Math.PI
         )); //give a random relaxed orientation
         b.angularVelocity.set(0, 0, 0);
 
-        //sync the visible mesh with the physics body
+        //sync the visible mesh with the physics body, the previous state too so the mesh is not interpolated from the old spot
+        b.storePreviousState();
         b.mesh.position.copy(b.position);
         b.mesh.quaternion.copy(b.orientation);
 
@@ -185,16 +183,30 @@ function resetObjects(clawTopBox, grabbableObjects, chuteMesh, scene) {
         b.isSleeping = false;
         b.hasTouchedClaw = false;
 
-        //ensure the mesh is in the scene and visible
-        if (!b.mesh.parent) scene.add(b.mesh);
-        b.mesh.visible = true;
-
         //reset custom gameplay flags
         b.canFallThrough = false;
+        b.isBeingReleased = false;
+        b.releaseStartTime = null;
+        b.clearCollisionOverrides(); //drops the release / chute overrides together with their flags
         b.isBlocked = false;
     });
 }
 
+//the prize animations (animation.js) move, shrink, fade and remove the won prizes: they are stopped and every
+//prize mesh goes back in the scene as it was spawned. used by resetObjects and when a replay restarts
+function restorePrizeMeshes(grabbableObjects, scene) {
+    resetAnimations();
+    grabbableObjects.forEach(({ body, prize }) => {
+        const mesh = body.mesh;
+        if (!mesh.parent) scene.add(mesh);
+        mesh.visible = true;
+        if (prize) mesh.scale.setScalar(prize.scale);
+        mesh.material.opacity = 1;
+        mesh.material.transparent = false;
+        body.isAnimating = false;
+    });
+}
+
 //resets the score on the controller and updates the ui
 function resetScore(clawController, updateScoreDisplay) {
     //only proceed if a controller exists
@@ -209,8 +221,10 @@ function resetScore(clawController, updateScoreDisplay) {
 export {
     checkFinalPrizeTrigger, //exports an external function for final prize detection
     checkChuteTrigger, //exports an external function to detect chute interactions
+    setupPrizeTriggers, //exports the registration of the chute sensors in the physics engine
     tryInitializeClawController, //exports an external function to init the claw controller
     resetObjects, //exports the reset objects utility
+    restorePrizeMeshes, //exports the restore of the prize meshes after the animations
     resetScore, //exports the reset score utility
     startPrizeAnimationLocal //exports an external function for local prize animation
 };
@@ -0,0 +1,76 @@
+// seeded random numbers for everything that changes the outcome of a play (spawn positions, orientations,
+// candy picked by the dispenser, prize animations...). with the same seed the game makes the same choices,
+// so a seed plus the recorded inputs reproduce a run exactly. purely visual noise (particles, popcorn) keeps Math.random
+
+// mulberry32: tiny 32 bit generator, good enough for gameplay and fully reproducible
+export class SeededRandom {
+    constructor(seed) {
+        this.reseed(seed);
+    }
+
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    //internal state, saved with recordings so a replay continues the exact same sequence
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    //float in [0, 1), same contract as Math.random
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    //integer in [0, maxExclusive)
+    int(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
+
+//numbers are used as they are, any other text is hashed so ?seed=hello works too
+export function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    if (Number.isInteger(number)) return number >>> 0;
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+//the ?seed= url parameter, null when it is not set
+export function getSeedFromURL() {
+    if (typeof window === 'undefined') return null;
+    return parseSeed(new URLSearchParams(window.location.search).get('seed'));
+}
+
+//shared generator, injected in the physics engine and used by the spawners and the animations.
+//without ?seed= the run is still seeded (with a random seed) so it can be recorded and replayed
+let sharedRandom = new SeededRandom(getSeedFromURL() ?? Math.floor(Math.random() * 4294967296));
+
+export function getRandom() {
+    return sharedRandom;
+}
+
+export function setRandom(random) {
+    sharedRandom = random;
+}